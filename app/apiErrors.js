@@ -0,0 +1,82 @@
+/**
+ * API Error Handling
+ *
+ * The worker reports every failure as
+ * { success: false, error: "<code>", message, requestId }. The frontend
+ * decides what to show from the code, never from the HTTP status alone, and
+ * quotes the request id so a report can be matched to the worker logs.
+ *
+ * NOTE: The codes are defined in worker/errors.js. Keep both in sync when
+ * adding a code.
+ */
+
+// Messages for codes where the worker's own message isn't meant for visitors.
+const MESSAGES = {
+    invalid_request: "That request wasn't understood. Please check the date and try again.",
+    rate_limit_exceeded: "You've asked a lot of questions recently. Please wait a while and try again.",
+    internal_error: "Something went wrong on our side. Please try again later.",
+    llm_invalid_response: "The answer couldn't be worked out this time. Please try rephrasing your question.",
+    llm_error: "The question service is unavailable right now. Please try again later.",
+    service_busy: "The service is temporarily busy. Please try again later.",
+    llm_timeout: "The question took too long to answer. Please try again.",
+};
+
+// Codes whose worker message explains the problem to the visitor directly.
+const SHOW_SERVER_MESSAGE = new Set(["invalid_question", "unanswerable", "rejected"]);
+
+export class ApiError extends Error {
+    /**
+     * @param {string} code - Error code from the envelope, or "network_error"
+     * @param {string} message - Message from the envelope
+     * @param {number} status - HTTP status (0 if the request never completed)
+     * @param {string|null} requestId - Request id, if the worker sent one
+     */
+    constructor(code, message, status, requestId = null) {
+        super(message);
+        this.name = "ApiError";
+        this.code = code;
+        this.status = status;
+        this.requestId = requestId;
+    }
+}
+
+/**
+ * Build an ApiError from a failed response. Bodies that aren't the error
+ * envelope (e.g. a proxy error page) become internal_error.
+ *
+ * @param {Response} response - Response with a non-2xx status
+ * @returns {Promise<ApiError>}
+ */
+export async function apiErrorFromResponse(response) {
+    const requestId = response.headers.get("X-Request-Id");
+    try {
+        const data = await response.json();
+        if (data && typeof data.error === "string") {
+            return new ApiError(data.error, data.message || "", response.status, data.requestId || requestId);
+        }
+    } catch {
+        // Not JSON; fall through
+    }
+    return new ApiError("internal_error", response.statusText, response.status, requestId);
+}
+
+/**
+ * Message to show a visitor for an error, with the request id as a
+ * reference when there is one.
+ *
+ * @param {ApiError|Error} error - Error from a request
+ * @returns {string}
+ */
+export function errorMessageFor(error) {
+    if (!(error instanceof ApiError)) {
+        return "Failed to connect. Please check your connection and try again.";
+    }
+
+    let message;
+    if (SHOW_SERVER_MESSAGE.has(error.code) && error.message) {
+        message = error.message;
+    } else {
+        message = MESSAGES[error.code] || MESSAGES.internal_error;
+    }
+    return error.requestId ? `${message} (Reference: ${error.requestId})` : message;
+}
@@ -1,5 +1,7 @@
 import { getForecastCardHTML } from "./forecastCard.js";
+import { addDays } from "./localTime.js";
 import { parseForecastDate } from "./utils.js";
+import { ApiError, apiErrorFromResponse, errorMessageFor } from "./apiErrors.js";
 import { AskComponent } from "./askComponent.js";
 import { CONFIG } from "./config.js";
 
@@ -52,44 +54,29 @@ class WeatherApp {
             this.showLoading();
 
             if (selectedDate) {
-                // Fetch selected date plus adjacent days for context cards
+                // Fetch every revision for the selected date plus adjacent
+                // days (for the context cards) in one range request
                 const prevDate = this.getAdjacentDate(selectedDate, -1);
                 const nextDate = this.getAdjacentDate(selectedDate, 1);
 
-                const [prevRes, mainRes, nextRes] = await Promise.all([
-                    fetch(`${this.API_URL}?date=${prevDate}`).catch(() => null),
-                    fetch(`${this.API_URL}?date=${selectedDate}`),
-                    fetch(`${this.API_URL}?date=${nextDate}`).catch(() => null),
-                ]);
+                const response = await fetch(
+                    `${this.API_URL}/v1/forecasts?from=${prevDate}&to=${nextDate}&revisions=all`
+                );
+                if (!response.ok) throw await apiErrorFromResponse(response);
 
-                if (!mainRes.ok) throw new Error("Failed to fetch forecast data");
-
-                const mainForecasts = await mainRes.json();
-                if (!Array.isArray(mainForecasts) || mainForecasts.length === 0) {
+                const { forecasts: allFetched = [] } = await response.json();
+                if (!allFetched.some((f) => f.forecast_date === selectedDate)) {
                     this.showNoData("No forecast data found for the selected date.");
                     return;
                 }
 
-                // Combine all fetched forecasts
-                const allFetched = [...mainForecasts];
-
-                if (prevRes?.ok) {
-                    const prevForecasts = await prevRes.json();
-                    if (Array.isArray(prevForecasts)) allFetched.push(...prevForecasts);
-                }
-
-                if (nextRes?.ok) {
-                    const nextForecasts = await nextRes.json();
-                    if (Array.isArray(nextForecasts)) allFetched.push(...nextForecasts);
-                }
-
                 // Merge with existing cache
                 this.mergeForecasts(allFetched);
                 this.forecasts = this.allForecasts;
             } else {
                 // Default view - fetch upcoming forecasts
                 const response = await fetch(this.API_URL);
-                if (!response.ok) throw new Error("Failed to fetch forecast data");
+                if (!response.ok) throw await apiErrorFromResponse(response);
 
                 const forecasts = await response.json();
                 if (!Array.isArray(forecasts) || forecasts.length === 0) {
@@ -103,8 +90,12 @@ class WeatherApp {
 
             this.displayForecasts(this.forecasts);
         } catch (error) {
-            this.showError("Failed to load forecast data. Please try again later.");
             console.error("Error loading forecasts:", error);
+            if (error instanceof ApiError && error.code === "not_found") {
+                this.showNoData("No forecast data found for the selected date.");
+            } else {
+                this.showError(errorMessageFor(error));
+            }
         } finally {
             this.hideLoading();
         }
@@ -197,15 +188,12 @@ class WeatherApp {
     }
 
     getAdjacentDate(dateStr, dayOffset) {
-        const date = new Date(dateStr + "T12:00:00Z");
-        date.setDate(date.getDate() + dayOffset);
-        return date.toISOString().split("T")[0];
+        return addDays(dateStr, dayOffset);
     }
 
     getHistoricalForecast(forecasts, selectedDate) {
         const sameDayForecasts = forecasts.filter((f) => {
-            const forecastDate = parseForecastDate(f.forecast_date, f.published_at);
-            return forecastDate.toISOString().split("T")[0] === selectedDate;
+            return parseForecastDate(f.forecast_date, f.published_at) === selectedDate;
         });
 
         if (sameDayForecasts.length > 0) {
@@ -220,9 +208,7 @@ class WeatherApp {
 
     getLatestForecasts(forecasts) {
         const groupedForecasts = forecasts.reduce((acc, forecast) => {
-            const forecastDateStr = parseForecastDate(forecast.forecast_date, forecast.published_at)
-                .toISOString()
-                .split("T")[0];
+            const forecastDateStr = parseForecastDate(forecast.forecast_date, forecast.published_at);
             if (
                 !acc[forecastDateStr] ||
                 new Date(acc[forecastDateStr].published_at) < new Date(forecast.published_at)
@@ -1,3 +1,6 @@
+import { apiErrorFromResponse, errorMessageFor } from "./apiErrors.js";
+import { formatLocalDate } from "./localTime.js";
+
 export class AskComponent {
     constructor(apiUrl) {
         this.apiUrl = apiUrl;
@@ -128,25 +131,12 @@ export class AskComponent {
                 body: JSON.stringify({ question }),
             });
 
-            const data = await response.json();
-
-            if (data.success) {
-                this.showResult(data);
-            } else {
-                let errorMessage = data.message || "Something went wrong. Please try again.";
+            if (!response.ok) throw await apiErrorFromResponse(response);
 
-                // Handle specific error types
-                if (data.error === "service_busy") {
-                    errorMessage = "The service is temporarily busy. Please try again later.";
-                } else if (data.error === "unanswerable") {
-                    errorMessage = data.message;
-                }
-
-                this.showError(errorMessage);
-            }
+            this.showResult(await response.json());
         } catch (error) {
             console.error("Ask error:", error);
-            this.showError("Failed to connect. Please check your connection and try again.");
+            this.showError(errorMessageFor(error));
         } finally {
             this.hideLoading();
         }
@@ -232,8 +222,7 @@ export class AskComponent {
     }
 
     formatDate(dateStr) {
-        const date = new Date(dateStr + "T12:00:00Z");
-        return date.toLocaleDateString("en-GB", {
+        return formatLocalDate(dateStr, {
             weekday: "short",
             day: "numeric",
             month: "short",
@@ -5,11 +5,17 @@
  * based on weather conditions.
  */
 
+import { formatLocalDate, TIME_ZONE } from "./localTime.js";
 import { parseForecastDate, formatRainfall } from "./utils.js";
 
 /**
  * Weather icon selection configuration.
  * Maps weather categories to keywords found in forecast descriptions.
+ *
+ * NOTE: The keyword icons (WEATHER_KEYWORDS, SINGLE_ICONS, SYNERGY_ICONS,
+ * getWeatherIcon and getWeatherConditionClass) are duplicated in
+ * worker/widget.js for the embeddable widget. Keep both in sync when making
+ * changes.
  */
 const WEATHER_KEYWORDS = {
     sunny: ["sun", "sunny", "bright", "fine", "clear", "fair"],
@@ -45,12 +51,44 @@ const SYNERGY_ICONS = {
     "snowy-rainy": "🌨️",
 };
 
+/**
+ * Card icon and CSS class for each WMO-style condition code assigned by the
+ * worker at ingestion.
+ *
+ * NOTE: This mapping is duplicated in worker/conditions.js for the backend.
+ * Keep both in sync when making changes.
+ */
+const CONDITION_DISPLAY = {
+    0: { icon: "☀️", className: "weather-sunny" },
+    1: { icon: "☀️", className: "weather-sunny" },
+    2: { icon: "🌤️", className: "weather-sunny-cloudy" },
+    3: { icon: "☁️", className: "weather-cloudy" },
+    45: { icon: "🌫️", className: "weather-cloudy" },
+    51: { icon: "🌧️", className: "weather-rainy" },
+    61: { icon: "🌧️", className: "weather-rainy" },
+    63: { icon: "🌧️", className: "weather-rainy" },
+    65: { icon: "🌧️", className: "weather-rainy" },
+    68: { icon: "🌨️", className: "weather-cloudy-snowy" },
+    71: { icon: "❄️", className: "weather-snowy" },
+    73: { icon: "❄️", className: "weather-snowy" },
+    75: { icon: "❄️", className: "weather-snowy" },
+    80: { icon: "🌦️", className: "weather-cloudy-rainy" },
+    82: { icon: "🌦️", className: "weather-cloudy-rainy" },
+    85: { icon: "🌨️", className: "weather-cloudy-snowy" },
+    89: { icon: "🌨️", className: "weather-cloudy-snowy" },
+    95: { icon: "⛈️", className: "weather-rainy" },
+    96: { icon: "⛈️", className: "weather-rainy" },
+};
+
 /** Weight applied to keywords preceded by "some" (e.g., "some rain") */
 const PARTIAL_WEIGHT = 0.5;
 
 /**
  * Determines the appropriate weather icon based on description text analysis.
  *
+ * Only used for forecasts without a condition_code (rows the worker has not
+ * classified yet); see getConditionIcon.
+ *
  * Algorithm:
  * 1. Tokenize description into words (split on spaces and commas)
  * 2. Score each weather category based on keyword matches:
@@ -136,19 +174,70 @@ export function getWeatherConditionClass(description) {
     return map[icon] || "weather-sunny";
 }
 
+/**
+ * Returns the weather icon for a forecast, preferring the worker's
+ * condition_code and falling back to the description keyword heuristic.
+ *
+ * @param {Object} forecast - Forecast from the API
+ * @returns {string} - Weather emoji icon
+ */
+export function getConditionIcon(forecast) {
+    const display = CONDITION_DISPLAY[forecast.condition_code];
+    return display ? display.icon : getWeatherIcon(forecast.description);
+}
+
+/**
+ * Returns the card CSS class for a forecast, preferring the worker's
+ * condition_code and falling back to the description keyword heuristic.
+ *
+ * @param {Object} forecast - Forecast from the API
+ * @returns {string} - CSS class name
+ */
+export function getConditionClass(forecast) {
+    const display = CONDITION_DISPLAY[forecast.condition_code];
+    return display ? display.className : getWeatherConditionClass(forecast.description);
+}
+
+/**
+ * Returns a morning/afternoon/evening/overnight timeline for a forecast's
+ * time-of-day segments, or an empty string when the day doesn't change
+ * (fewer than two segments, or the same description throughout).
+ *
+ * @param {Object} forecast - Forecast from the API, with segments
+ * @returns {string} - Timeline HTML
+ */
+export function getSegmentTimelineHTML(forecast) {
+    const segments = (forecast.segments || []).filter((segment) => segment.description);
+    const distinct = new Set(segments.map((segment) => segment.description));
+    if (segments.length < 2 || distinct.size < 2) {
+        return "";
+    }
+
+    const items = segments.map((segment) => `
+          <div class="segment" title="${segment.description}">
+            <span class="segment-icon">${getConditionIcon(segment)}</span>
+            <span class="segment-label">${segment.period}</span>
+          </div>`).join("");
+
+    return `
+        <div class="segment-timeline">${items}
+        </div>`;
+}
+
 export function getForecastCardHTML(forecast, options = {}) {
     const { isContext = false, contextType = null } = options;
-    const icon = getWeatherIcon(forecast.description);
-    const weatherClass = getWeatherConditionClass(forecast.description);
+    const icon = getConditionIcon(forecast);
+    const weatherClass = getConditionClass(forecast);
 
     const date = parseForecastDate(forecast.forecast_date, forecast.published_at);
-    const dayName = date.toLocaleDateString("en-GB", { weekday: "long" });
-    const dayMonth = date.toLocaleDateString("en-GB", { day: "numeric", month: "long" });
+    const dayName = formatLocalDate(date, { weekday: "long" });
+    const dayMonth = formatLocalDate(date, { day: "numeric", month: "long" });
 
     const publishedDate = new Date(forecast.published_at);
     const updateTime = publishedDate.toLocaleTimeString("en-GB", {
         hour: "2-digit",
         minute: "2-digit",
+        timeZone: TIME_ZONE,
     });
 
     const rainfallIcon = forecast.rainfall && parseFloat(forecast.rainfall) > 0
@@ -234,6 +323,7 @@ export function getForecastCardHTML(forecast, options = {}) {
         </div>
         ` : ''}
         <div class="description">${forecast.description}</div>
+        ${getSegmentTimelineHTML(forecast)}
       </div>
       ${forecast.visibility || forecast.comments ? `
       <div class="additional-info">
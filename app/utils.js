@@ -5,40 +5,32 @@
  * for the backend. Keep both implementations in sync when making changes.
  */
 
+import { addDays, localDate, parseWrittenDate } from "./localTime.js";
+
 /**
  * Parses a forecast date string and converts relative dates like "Today" and "Tomorrow"
- * into a proper Date object based on the provided published date.
+ * into an Isle of Man calendar date based on the provided published date.
  *
- * @param {string} forecastDateStr - The date string from the forecast (e.g. "Today", "Thursday, 13 February 2025").
+ * @param {string} forecastDateStr - The date string from the forecast (e.g. "2025-02-13", "Today", "Thursday, 13 February 2025").
  * @param {string|Date} publishedAt - The published date to use as a reference.
- * @returns {Date} - The normalized Date object.
+ * @returns {string|null} - The date in YYYY-MM-DD format, or null if it can't be parsed.
  */
 export function parseForecastDate(forecastDateStr, publishedAt) {
-    // Attempt a direct date parse
-    let dt = new Date(forecastDateStr);
-    if (!isNaN(dt)) return dt;
+    // Dates from the API are already YYYY-MM-DD
+    if (/^\d{4}-\d{2}-\d{2}$/.test(forecastDateStr)) return forecastDateStr;
 
     const lower = forecastDateStr.toLowerCase();
 
     // Handle relative terms
     if (lower.includes("today")) {
-        return new Date(publishedAt);
+        return localDate(publishedAt);
     }
     if (lower.includes("tomorrow")) {
-        let d = new Date(publishedAt);
-        d.setDate(d.getDate() + 1);
-        return d;
-    }
-
-    // Remove weekday names if present (e.g. "Thursday, 13 February 2025")
-    const parts = forecastDateStr.split(",");
-    if (parts.length > 1) {
-        dt = new Date(parts[1].trim());
-        if (!isNaN(dt)) return dt;
+        return addDays(localDate(publishedAt), 1);
     }
 
-    // Fallback – return the default parsing result
-    return new Date(forecastDateStr);
+    // Written dates, with or without a weekday (e.g. "Thursday, 13 February 2025")
+    return parseWrittenDate(forecastDateStr);
 }
 
 /**
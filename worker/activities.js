@@ -0,0 +1,182 @@
+/**
+ * Activity Suitability Scoring
+ *
+ * Rates forecast days for outdoor activities using the profiles in
+ * CONFIG.activities. Each day starts at 100 points and loses points for a
+ * temperature outside the comfortable range, wind, gusts, rain, poor
+ * visibility and hazards flagged in the comments; every factor adds a reason
+ * so the score can be explained. Used by GET /v1/recommendations and by
+ * /ask for "best day for ..." questions.
+ */
+
+import { CONFIG } from "./config.js";
+import { validationError } from "./errors.js";
+import { withHazards } from "./hazards.js";
+import { buildQuery } from "./queryBuilder.js";
+import { withSegments } from "./segments.js";
+import { parseQuery, RecommendationsQuerySchema } from "./validation.js";
+
+// Hazard points are scaled by how strongly the comments word the hazard
+const SEVERITY_WEIGHT = { low: 0.5, moderate: 1, high: 1.5 };
+
+// Lowest score for each rating, best first
+const RATINGS = [
+    [75, "good"],
+    [50, "fair"],
+    [0, "poor"],
+];
+
+function rangeText(min, max, unit) {
+    return min === max ? `${max}${unit}` : `${min}-${max}${unit}`;
+}
+
+/**
+ * Score one forecast for an activity profile.
+ *
+ * @param {Object} forecast - Forecast row with hazards decoded (see withHazards)
+ * @param {Object} profile - Profile from CONFIG.activities
+ * @returns {{score: number, rating: string, reasons: Array<{factor: string, impact: number, detail: string}>}}
+ *   - score 0-100; impact is the points the factor cost (0 or negative)
+ */
+function scoreForecast(forecast, profile) {
+    const reasons = [];
+    let unsuitable = false;
+
+    const add = (factor, points, detail) => {
+        reasons.push({ factor, impact: -Math.round(points), detail });
+    };
+
+    const { temperature } = profile;
+    if (forecast.max_temp == null) {
+        add("temperature", 0, "No temperature in the forecast");
+    } else if (forecast.max_temp < temperature.min) {
+        add("temperature", (temperature.min - forecast.max_temp) * temperature.pointsPerDegree,
+            `High of ${forecast.max_temp}°C, below ${temperature.min}°C`);
+    } else if (forecast.max_temp > temperature.max) {
+        add("temperature", (forecast.max_temp - temperature.max) * temperature.pointsPerDegree,
+            `High of ${forecast.max_temp}°C, above ${temperature.max}°C`);
+    } else {
+        add("temperature", 0, `High of ${forecast.max_temp}°C`);
+    }
+
+    const { wind } = profile;
+    const speed = forecast.wind_speed;
+    if (speed == null) {
+        add("wind", 0, "No wind speed in the forecast");
+    } else if (speed >= wind.limit) {
+        unsuitable = true;
+        add("wind", 100, `Wind ${speed} mph, at or above the ${wind.limit} mph limit`);
+    } else if (speed > wind.max) {
+        add("wind", (speed - wind.max) * wind.pointsPerMph, `Wind ${speed} mph, above ${wind.max} mph`);
+    } else if (wind.min != null && speed < wind.min) {
+        add("wind", (wind.min - speed) * wind.pointsPerMph, `Wind ${speed} mph, below ${wind.min} mph`);
+    } else {
+        add("wind", 0, `Wind ${speed} mph`);
+    }
+
+    if (forecast.wind_gust_max != null && forecast.wind_gust_max > profile.gusts.max) {
+        add("gusts", profile.gusts.points, `Gusts up to ${forecast.wind_gust_max} mph`);
+    }
+
+    const { rain } = profile;
+    if (forecast.rainfall_max == null) {
+        add("rain", 0, "No rainfall amount in the forecast");
+    } else if (forecast.rainfall_max === 0) {
+        add("rain", 0, "Dry");
+    } else {
+        const expected = ((forecast.rainfall_min ?? forecast.rainfall_max) + forecast.rainfall_max) / 2;
+        add("rain", Math.min(expected * rain.pointsPerMm, rain.maxPoints),
+            `Rain ${rangeText(forecast.rainfall_min ?? forecast.rainfall_max, forecast.rainfall_max, "mm")}`);
+    }
+
+    const visibilityPoints = profile.visibility[forecast.visibility_code];
+    if (visibilityPoints) {
+        add("visibility", visibilityPoints, `${forecast.visibility_code[0].toUpperCase()}${forecast.visibility_code.slice(1)} visibility`);
+    }
+
+    for (const { hazard, severity } of forecast.hazards || []) {
+        const points = profile.hazards[hazard];
+        if (!points) continue;
+        const name = hazard.replace(/_/g, " ");
+        add("hazard", points * SEVERITY_WEIGHT[severity], `${name[0].toUpperCase()}${name.slice(1)} (${severity})`);
+    }
+
+    const total = 100 + reasons.reduce((sum, reason) => sum + reason.impact, 0);
+    const score = unsuitable ? 0 : Math.max(0, Math.min(100, total));
+    const [, rating] = RATINGS.find(([min]) => score >= min);
+
+    return { score, rating, reasons };
+}
+
+/**
+ * Score forecasts for an activity and rank them, best first; equal scores
+ * keep the earlier day first.
+ *
+ * @param {Object[]} forecasts - One forecast per day, with hazards decoded
+ * @param {string} activity - Key of CONFIG.activities
+ * @returns {Array<{forecast: Object, score: number, rating: string, reasons: Object[]}>}
+ */
+export function rankForecasts(forecasts, activity) {
+    const profile = CONFIG.activities[activity];
+    return forecasts
+        .map((forecast) => ({ forecast, ...scoreForecast(forecast, profile) }))
+        .sort((a, b) => b.score - a.score || a.forecast.forecast_date.localeCompare(b.forecast.forecast_date));
+}
+
+/**
+ * Fetch the best forecast for each day in a range and rank the days for an
+ * activity. The query is the one /ask runs for best_day_for questions.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {string} activity - Key of CONFIG.activities
+ * @param {string} from - First date, inclusive
+ * @param {string} to - Last date, inclusive
+ * @returns {Promise<Array<{forecast: Object, score: number, rating: string, reasons: Object[]}>>}
+ */
+export async function getRankedDays(env, activity, from, to) {
+    const { sql, params } = buildQuery({
+        query_type: "best_day_for",
+        activity,
+        date_range: { start: from, end: to },
+    });
+    const { results } = await env.DB.prepare(sql).bind(...params).all();
+    return rankForecasts(withSegments(withHazards(results || [])), activity);
+}
+
+/**
+ * GET /v1/recommendations - forecast days ranked for an activity.
+ *
+ * Query parameters (see RecommendationsQuerySchema): activity, from and to.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: Object, status: number}>}
+ */
+export async function handleRecommendationsRequest(request, env, url) {
+    const queryValidation = parseQuery(RecommendationsQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const { activity, from, to } = queryValidation.data;
+    const ranked = await getRankedDays(env, activity, from, to);
+
+    return {
+        result: {
+            success: true,
+            activity,
+            label: CONFIG.activities[activity].label,
+            from,
+            to,
+            days: ranked.map(({ forecast, score, rating, reasons }) => ({
+                forecast_date: forecast.forecast_date,
+                score,
+                rating,
+                reasons,
+                forecast,
+            })),
+        },
+        status: 200,
+    };
+}
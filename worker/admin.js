@@ -0,0 +1,438 @@
+/**
+ * Admin Endpoints
+ *
+ * The /admin route family: manual ingestion, reprocessing, status and
+ * freshness checks, ingestion history, API keys, /ask rate limits and the
+ * audit log. Every route needs the ADMIN_TOKEN bearer token, compared in
+ * constant time, and the whole family is disabled when ADMIN_TOKEN is unset.
+ * Requests are recorded in the audit log (see auditLog.js) whether or not
+ * they succeed.
+ */
+
+import { createApiKey, getApiKey, listApiKeys, revokeApiKey, rotateApiKey, updateApiKey } from "./apiKeys.js";
+import { listAdminActions, recordAdminAction } from "./auditLog.js";
+import { errorResult, validationError } from "./errors.js";
+import { checkFreshness } from "./freshness.js";
+import { listIngestionRuns } from "./ingestionLog.js";
+import { fetchAndStoreWeather, reprocessArchivedFeeds, rederiveStoredForecasts } from "./ingestion.js";
+import { clearRateLimit, getRateLimit, listRateLimits } from "./rateLimiter.js";
+import { withRefreshLease } from "./refreshLease.js";
+import { createRouter } from "./router.js";
+import {
+    AdminAuditQuerySchema,
+    ApiKeyCreateSchema,
+    ApiKeyParamsSchema,
+    ApiKeyUpdateSchema,
+    ApiKeyUsageQuerySchema,
+    IngestionHistoryQuerySchema,
+    NoQuerySchema,
+    RateLimitListQuerySchema,
+    RateLimitParamsSchema,
+    ReprocessQuerySchema,
+    parseQuery,
+} from "./validation.js";
+
+// Tables counted by GET /admin/status
+const STATUS_TABLES = [
+    "forecast_items",
+    "forecast_segments",
+    "forecast_hazards",
+    "feed_archive",
+    "ingestion_runs",
+    "api_keys",
+    "admin_audit_log",
+];
+
+/**
+ * Compare two strings without short-circuiting on the first mismatch.
+ */
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Check the request carries the ADMIN_TOKEN secret as a bearer token.
+ * Admin routes are disabled entirely when no token is configured.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings including ADMIN_TOKEN
+ * @returns {boolean}
+ */
+function isAuthorized(request, env) {
+    if (!env.ADMIN_TOKEN) return false;
+    const header = request.headers.get("Authorization") || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match !== null && timingSafeEqual(match[1].trim(), env.ADMIN_TOKEN);
+}
+
+// Validate a route's (empty) query string and its JSON body.
+async function parseBody(schema, request, url) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return { error: validationError(queryValidation.error) };
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return { error: errorResult("invalid_request", "Invalid JSON body") };
+    }
+    const bodyValidation = schema.safeParse(body);
+    return bodyValidation.success ? { data: bodyValidation.data } : { error: validationError(bodyValidation.error) };
+}
+
+// Validate the id of an /admin/api-keys/{id} route, and its (empty) query string.
+function parseKeyId(url, params) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return { error: validationError(queryValidation.error) };
+    }
+    const paramsValidation = ApiKeyParamsSchema.safeParse(params);
+    return paramsValidation.success ? { id: paramsValidation.data.id } : { error: validationError(paramsValidation.error) };
+}
+
+// 404 for an API key id that doesn't exist.
+function noApiKey(id) {
+    return errorResult("not_found", `No API key with id ${id}.`);
+}
+
+// Validate the IP of an /admin/rate-limits/{ip} route, and its (empty) query string.
+function parseIp(url, params) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return { error: validationError(queryValidation.error) };
+    }
+    const paramsValidation = RateLimitParamsSchema.safeParse(params);
+    return paramsValidation.success ? { ip: paramsValidation.data.ip } : { error: validationError(paramsValidation.error) };
+}
+
+// POST /admin/ingest - fetch the feed now, whatever its freshness.
+async function handleIngest(request, env, url) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    let outcome;
+    try {
+        const ran = await withRefreshLease(env, async () => {
+            outcome = await fetchAndStoreWeather(env, "manual");
+        });
+        if (!ran) {
+            return errorResult("service_busy", "Another ingestion is already running. Try again in a minute.");
+        }
+    } catch {
+        // fetchAndStoreWeather has already recorded the failed run and notified
+        return errorResult("internal_error", "Ingestion failed. See GET /admin/ingestions?trigger=manual for the error.");
+    }
+
+    const [run] = await listIngestionRuns(env, { limit: 1, trigger: "manual" });
+    return {
+        result: {
+            success: true,
+            parsed: outcome.items.length,
+            inserted: outcome.inserted.length,
+            updated: outcome.updated.length,
+            skipped: outcome.skipped.length,
+            run: run ?? null,
+        },
+        status: 200,
+    };
+}
+
+// GET /admin/status - data freshness, row counts and the last ingestion run.
+async function handleStatus(request, env, url) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const forecasts = await env.DB.prepare(`
+        select max(published_at) as latest_published_at,
+               min(forecast_date) as first_date,
+               max(forecast_date) as last_date
+        from forecast_items
+    `).first();
+    const rowCounts = await env.DB.prepare(`
+        select ${STATUS_TABLES.map((table) => `(select count(*) from ${table}) as ${table}`).join(", ")}
+    `).first();
+    const [lastRun] = await listIngestionRuns(env, { limit: 1 });
+
+    return {
+        result: {
+            success: true,
+            latest_published_at: forecasts.latest_published_at,
+            forecast_dates: { first: forecasts.first_date, last: forecasts.last_date },
+            row_counts: rowCounts,
+            last_ingestion: lastRun ?? null,
+        },
+        status: 200,
+    };
+}
+
+// GET /admin/refresh-check - the checks behind background refreshes.
+async function handleRefreshCheck(request, env, url) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    return {
+        result: { success: true, ...await checkFreshness(env) },
+        status: 200,
+    };
+}
+
+// GET /admin/rate-limits - per-IP /ask counters, one KV page at a time.
+async function handleListRateLimits(request, env, url) {
+    const queryValidation = parseQuery(RateLimitListQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const { entries, cursor } = await listRateLimits(env, queryValidation.data);
+    return {
+        result: { success: true, rate_limits: entries, cursor },
+        status: 200,
+    };
+}
+
+// GET /admin/rate-limits/{ip} - one IP's /ask counter.
+async function handleGetRateLimit(request, env, url, params) {
+    const { ip, error } = parseIp(url, params);
+    if (error) return error;
+
+    const entry = await getRateLimit(env, ip);
+    if (!entry) return errorResult("not_found", `No rate limit entry for ${ip}.`);
+    return {
+        result: { success: true, rate_limit: entry },
+        status: 200,
+    };
+}
+
+// DELETE /admin/rate-limits/{ip} - reset one IP's /ask counter.
+async function handleClearRateLimit(request, env, url, params) {
+    const { ip, error } = parseIp(url, params);
+    if (error) return error;
+
+    const entry = await clearRateLimit(env, ip);
+    if (!entry) return errorResult("not_found", `No rate limit entry for ${ip}.`);
+    return {
+        result: { success: true, cleared: entry },
+        status: 200,
+    };
+}
+
+// GET /admin/audit - recent admin requests.
+async function handleAuditLog(request, env, url) {
+    const queryValidation = parseQuery(AdminAuditQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    return {
+        result: { success: true, entries: await listAdminActions(env, queryValidation.data) },
+        status: 200,
+    };
+}
+
+// GET /admin/ingestions - recent ingestion runs.
+async function handleIngestionHistory(request, env, url) {
+    const queryValidation = parseQuery(IngestionHistoryQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const runs = await listIngestionRuns(env, queryValidation.data);
+    return {
+        result: { success: true, runs },
+        status: 200,
+    };
+}
+
+// POST /admin/reprocess - re-derive one page of archived feeds or stored rows.
+async function handleReprocess(request, env, url) {
+    const queryValidation = parseQuery(ReprocessQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    // Under the ingestion lease, so a cron or background refresh can't
+    // write the same rows at the same time
+    const { source, after, limit } = queryValidation.data;
+    const options = { afterId: after, limit };
+    let summary;
+    const ran = await withRefreshLease(env, async () => {
+        summary = source === "archive"
+            ? await reprocessArchivedFeeds(env, options)
+            : await rederiveStoredForecasts(env, options);
+    });
+    if (!ran) {
+        return errorResult("service_busy", "An ingestion is running. Try again in a minute.");
+    }
+    return {
+        result: { success: true, source, ...summary },
+        status: 200,
+    };
+}
+
+// GET /admin/api-keys - every key with today's usage.
+async function handleListApiKeys(request, env, url) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    return {
+        result: { success: true, keys: await listApiKeys(env) },
+        status: 200,
+    };
+}
+
+// POST /admin/api-keys - issue a key; the response is the only place it appears.
+async function handleCreateApiKey(request, env, url) {
+    const { data, error } = await parseBody(ApiKeyCreateSchema, request, url);
+    if (error) return error;
+
+    const { key, apiKey } = await createApiKey(env, data);
+    return {
+        result: { success: true, key, api_key: apiKey },
+        status: 201,
+    };
+}
+
+// GET /admin/api-keys/{id} - one key with its daily usage.
+async function handleGetApiKey(request, env, url, params) {
+    const paramsValidation = ApiKeyParamsSchema.safeParse(params);
+    if (!paramsValidation.success) {
+        return validationError(paramsValidation.error);
+    }
+    const queryValidation = parseQuery(ApiKeyUsageQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const { id } = paramsValidation.data;
+    const key = await getApiKey(env, id, queryValidation.data.days);
+    if (!key) return noApiKey(id);
+    return {
+        result: { success: true, key },
+        status: 200,
+    };
+}
+
+// PATCH /admin/api-keys/{id} - rename a key or change its quotas.
+async function handleUpdateApiKey(request, env, url, params) {
+    const paramsValidation = ApiKeyParamsSchema.safeParse(params);
+    if (!paramsValidation.success) {
+        return validationError(paramsValidation.error);
+    }
+    const { data, error } = await parseBody(ApiKeyUpdateSchema, request, url);
+    if (error) return error;
+
+    const { id } = paramsValidation.data;
+    const key = await updateApiKey(env, id, data);
+    if (!key) return noApiKey(id);
+    return {
+        result: { success: true, key },
+        status: 200,
+    };
+}
+
+// POST /admin/api-keys/{id}/rotate - replace a key; the old one stops working.
+async function handleRotateApiKey(request, env, url, params) {
+    const { id, error } = parseKeyId(url, params);
+    if (error) return error;
+
+    // Revoked keys stay revoked; issue a new one instead
+    const rotated = await rotateApiKey(env, id);
+    if (!rotated) return errorResult("not_found", `No active API key with id ${id}.`);
+    return {
+        result: { success: true, key: rotated.key, api_key: rotated.apiKey },
+        status: 200,
+    };
+}
+
+// POST /admin/api-keys/{id}/revoke - stop a key working for good.
+async function handleRevokeApiKey(request, env, url, params) {
+    const { id, error } = parseKeyId(url, params);
+    if (error) return error;
+
+    const key = await revokeApiKey(env, id);
+    if (!key) return noApiKey(id);
+    return {
+        result: { success: true, key },
+        status: 200,
+    };
+}
+
+const matchAdminRoute = createRouter([
+    { method: "POST", path: "/admin/ingest", handler: handleIngest },
+    { method: "GET", path: "/admin/status", handler: handleStatus },
+    { method: "GET", path: "/admin/refresh-check", handler: handleRefreshCheck },
+    { method: "GET", path: "/admin/ingestions", handler: handleIngestionHistory },
+    { method: "POST", path: "/admin/reprocess", handler: handleReprocess },
+    { method: "GET", path: "/admin/api-keys", handler: handleListApiKeys },
+    { method: "POST", path: "/admin/api-keys", handler: handleCreateApiKey },
+    { method: "GET", path: "/admin/api-keys/:id", handler: handleGetApiKey },
+    { method: "PATCH", path: "/admin/api-keys/:id", handler: handleUpdateApiKey },
+    { method: "POST", path: "/admin/api-keys/:id/rotate", handler: handleRotateApiKey },
+    { method: "POST", path: "/admin/api-keys/:id/revoke", handler: handleRevokeApiKey },
+    { method: "GET", path: "/admin/rate-limits", handler: handleListRateLimits },
+    { method: "GET", path: "/admin/rate-limits/:ip", handler: handleGetRateLimit },
+    { method: "DELETE", path: "/admin/rate-limits/:ip", handler: handleClearRateLimit },
+    { method: "GET", path: "/admin/audit", handler: handleAuditLog },
+]);
+
+// Authorize and dispatch an admin request; audit records what matched.
+async function dispatchAdminRequest(request, env, url, audit) {
+    if (!isAuthorized(request, env)) {
+        return errorResult("unauthorized", "A valid admin token is required.");
+    }
+
+    const match = matchAdminRoute(request.method, url.pathname);
+    if (!match) {
+        return errorResult("not_found", "Unknown admin endpoint.");
+    }
+    if (match.allowed) {
+        return {
+            ...errorResult("method_not_allowed", `Use ${match.allowed.join(" or ")} for this endpoint.`),
+            headers: { Allow: match.allowed.join(", ") },
+        };
+    }
+    audit.action = `${match.route.method} ${match.route.path}`;
+    audit.params = match.params;
+    return match.route.handler(request, env, url, match.params);
+}
+
+/**
+ * Handle the /admin route family. Every request is recorded in the audit
+ * log, including ones that fail; ones with a wrong token are recorded up to
+ * a limit per IP address (see auditLog.js).
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: Object, status: number}>}
+ */
+export async function handleAdminRequest(request, env, url) {
+    const audit = { action: null, params: {} };
+    try {
+        const response = await dispatchAdminRequest(request, env, url, audit);
+        await recordAdminAction(env, request, url, {
+            ...audit,
+            status: response.status,
+            error: response.result.success === false ? response.result.error : null,
+        });
+        return response;
+    } catch (error) {
+        await recordAdminAction(env, request, url, { ...audit, status: 500, error: "internal_error" });
+        throw error;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * API Keys and Quotas
+ *
+ * Third-party consumers send an issued key in the X-API-Key header. Only the
+ * SHA-256 hash of a key is stored, so the key itself is shown once, when it
+ * is created or rotated. Each key has daily quotas for forecast reads and for
+ * /ask questions, counted per Isle of Man calendar day in api_key_usage.
+ *
+ * Requests without a key are anonymous: forecast reads are not limited and
+ * /ask keeps the per-IP limit in rateLimiter.js. A key that is unknown or
+ * revoked is rejected rather than treated as anonymous.
+ */
+
+import { CONFIG } from "./config.js";
+import { errorResult } from "./errors.js";
+import { addDays, localToday } from "./localTime.js";
+import { checkRateLimit } from "./rateLimiter.js";
+
+/**
+ * Kinds of request with their own quota.
+ * - read: forecast reads, including /graphql
+ * - ask: /ask questions
+ */
+export const QUOTA_KINDS = ["read", "ask"];
+
+// Random bytes in a key, before encoding
+const KEY_BYTES = 24;
+
+// Characters of a key kept in key_prefix to tell keys apart in listings
+const PREFIX_LENGTH = CONFIG.apiKeys.prefix.length + 6;
+
+// Create a new random key, e.g. "iomw_3q2-7wEhGz…".
+function generateKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(KEY_BYTES));
+    const encoded = btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    return `${CONFIG.apiKeys.prefix}${encoded}`;
+}
+
+// Hex SHA-256 of a key, as stored in api_keys.key_hash.
+async function hashKey(key) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+    return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Shape an api_keys row for admin responses; the hash never leaves the database.
+function formatKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        read_quota: row.read_quota,
+        ask_quota: row.ask_quota,
+        created_at: row.created_at,
+        rotated_at: row.rotated_at,
+        revoked_at: row.revoked_at,
+        usage_today: { read: row.read_today ?? 0, ask: row.ask_today ?? 0 },
+    };
+}
+
+// api_keys columns plus today's usage of each kind; bind today's date first.
+const KEY_COLUMNS = `
+    k.*,
+    (select count from api_key_usage u where u.key_id = k.id and u.day = ? and u.kind = 'read') as read_today,
+    (select count from api_key_usage u where u.key_id = k.id and u.day = ? and u.kind = 'ask') as ask_today
+`;
+
+// One api_keys row with today's usage, or null.
+async function getKeyRow(env, id) {
+    const today = localToday();
+    return env.DB.prepare(`select ${KEY_COLUMNS} from api_keys k where k.id = ?`).bind(today, today, id).first();
+}
+
+/**
+ * Check a request against its quota and count it.
+ *
+ * With an API key, the key's quota for the kind of request applies; without
+ * one, only /ask is limited, per IP address. Requests are counted before they
+ * are served, so cached and 304 responses use the quota too.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings including DB and RATE_LIMIT_KV
+ * @param {string} kind - One of QUOTA_KINDS
+ * @returns {Promise<{result: Object, status: number}|null>} - An error result, or null if the request may go ahead
+ */
+export async function checkQuota(request, env, kind) {
+    const key = request.headers.get(CONFIG.apiKeys.header);
+    if (key === null) {
+        if (kind !== "ask") return null;
+        const rateLimit = await checkRateLimit(request, env);
+        return rateLimit.allowed
+            ? null
+            : errorResult("rate_limit_exceeded", "You've reached your daily question limit. Please try again tomorrow.");
+    }
+
+    const row = await env.DB.prepare(`
+        select id, read_quota, ask_quota
+        from api_keys
+        where key_hash = ? and revoked_at is null
+    `).bind(await hashKey(key.trim())).first();
+    if (!row) {
+        return errorResult("unauthorized", "Invalid or revoked API key.");
+    }
+
+    // The count only goes up while it is under the quota; no row back means
+    // the quota is used up
+    const quota = kind === "ask" ? row.ask_quota : row.read_quota;
+    const counted = quota > 0 && await env.DB.prepare(`
+        insert into api_key_usage (key_id, day, kind, count)
+        values (?, ?, ?, 1)
+        on conflict (key_id, day, kind) do update set count = count + 1
+        where count < ?
+        returning count
+    `).bind(row.id, localToday(), kind, quota).first();
+    if (!counted) {
+        const what = kind === "ask" ? "question" : "forecast read";
+        return errorResult("rate_limit_exceeded", `This API key has used today's ${what} quota of ${quota}. It resets at midnight.`);
+    }
+    return null;
+}
+
+/**
+ * Issue a new key.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Object} options - Validated ApiKeyCreateSchema output
+ * @returns {Promise<{key: Object, apiKey: string}>} - The stored key and the key itself, which can't be recovered later
+ */
+export async function createApiKey(env, { name, read_quota, ask_quota }) {
+    const apiKey = generateKey();
+    const { meta } = await env.DB.prepare(`
+        insert into api_keys (name, key_prefix, key_hash, read_quota, ask_quota, created_at)
+        values (?, ?, ?, ?, ?, ?)
+    `).bind(name, apiKey.slice(0, PREFIX_LENGTH), await hashKey(apiKey), read_quota, ask_quota, new Date().toISOString()).run();
+    return { key: formatKey(await getKeyRow(env, meta.last_row_id)), apiKey };
+}
+
+/**
+ * Every key, newest first, with today's usage.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @returns {Promise<Object[]>}
+ */
+export async function listApiKeys(env) {
+    const today = localToday();
+    const { results } = await env.DB.prepare(`
+        select ${KEY_COLUMNS}
+        from api_keys k
+        order by k.id desc
+    `).bind(today, today).all();
+    return (results || []).map(formatKey);
+}
+
+/**
+ * One key with its usage per day, oldest first. Days without requests are
+ * left out.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {number} id - Key id
+ * @param {number} days - Days of usage, ending today
+ * @returns {Promise<Object|null>} - null if there is no such key
+ */
+export async function getApiKey(env, id, days) {
+    const row = await getKeyRow(env, id);
+    if (!row) return null;
+
+    const { results } = await env.DB.prepare(`
+        select day,
+               sum(case when kind = 'read' then count else 0 end) as read,
+               sum(case when kind = 'ask' then count else 0 end) as ask
+        from api_key_usage
+        where key_id = ? and day >= ?
+        group by day
+        order by day
+    `).bind(id, addDays(localToday(), -(days - 1))).all();
+    return { ...formatKey(row), usage: results || [] };
+}
+
+/**
+ * Rename a key or change its quotas.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {number} id - Key id
+ * @param {Object} changes - Validated ApiKeyUpdateSchema output
+ * @returns {Promise<Object|null>} - The updated key, or null if there is no such key
+ */
+export async function updateApiKey(env, id, changes) {
+    // The strict schema only lets through known column names
+    const columns = Object.keys(changes);
+    const { meta } = await env.DB.prepare(`
+        update api_keys
+        set ${columns.map((column) => `${column} = ?`).join(", ")}
+        where id = ?
+    `).bind(...columns.map((column) => changes[column]), id).run();
+    return meta.changes > 0 ? formatKey(await getKeyRow(env, id)) : null;
+}
+
+/**
+ * Replace a key with a new one. The old key stops working at once; the id,
+ * quotas and usage carry over.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {number} id - Key id
+ * @returns {Promise<{key: Object, apiKey: string}|null>} - null if there is no such key or it is revoked
+ */
+export async function rotateApiKey(env, id) {
+    const apiKey = generateKey();
+    const { meta } = await env.DB.prepare(`
+        update api_keys
+        set key_prefix = ?, key_hash = ?, rotated_at = ?
+        where id = ? and revoked_at is null
+    `).bind(apiKey.slice(0, PREFIX_LENGTH), await hashKey(apiKey), new Date().toISOString(), id).run();
+    return meta.changes > 0 ? { key: formatKey(await getKeyRow(env, id)), apiKey } : null;
+}
+
+/**
+ * Revoke a key for good. The row and its usage are kept.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {number} id - Key id
+ * @returns {Promise<Object|null>} - The revoked key, or null if there is no such key
+ */
+export async function revokeApiKey(env, id) {
+    await env.DB.prepare(`
+        update api_keys
+        set revoked_at = coalesce(revoked_at, ?)
+        where id = ?
+    `).bind(new Date().toISOString(), id).run();
+    const row = await getKeyRow(env, id);
+    return row ? formatKey(row) : null;
+}
@@ -1,61 +1,45 @@
-import { checkRateLimit } from "./rateLimiter.js";
+import { rankForecasts } from "./activities.js";
+import { CONFIG } from "./config.js";
+import { errorResult, validationError } from "./errors.js";
+import { withHazards } from "./hazards.js";
 import { queryLLM, generateResponse } from "./llm.js";
-import { QueryIntentSchema, QuestionInputSchema, UnanswerableSchema, RejectedSchema } from "./validation.js";
+import { NoQuerySchema, QueryIntentSchema, QuestionInputSchema, UnanswerableSchema, RejectedSchema, parseQuery } from "./validation.js";
 import { buildQuery } from "./queryBuilder.js";
+import { withSegments } from "./segments.js";
 import { SYSTEM_PROMPT, buildUserPrompt, injectDates, RESPONSE_SYSTEM_PROMPT, buildResponsePrompt } from "./prompts.js";
-import { formatRainfall, formatDateLong, formatDateShort, formatFieldName } from "./utils.js";
+import { formatRainfall, formatDateLong, formatDateShort, formatFieldName, formatFieldUnit } from "./utils.js";
 
 /**
  * Handle the /ask endpoint for natural language weather questions.
  *
  * @param {Request} request - The incoming request
  * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
  * @returns {Promise<{result: Object, status: number}>}
  */
-export async function handleAskRequest(request, env) {
-    // 1. Check rate limit
-    const rateLimit = await checkRateLimit(request, env);
-    if (!rateLimit.allowed) {
-        return {
-            result: {
-                success: false,
-                error: "rate_limit_exceeded",
-                message: "You've reached your daily question limit. Please try again tomorrow.",
-            },
-            status: 429,
-        };
+export async function handleAskRequest(request, env, url) {
+    // /ask takes its input from the body only
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
     }
 
-    // 2. Parse and validate input
+    // 1. Parse and validate input
     let body;
     try {
         body = await request.json();
     } catch {
-        return {
-            result: {
-                success: false,
-                error: "invalid_request",
-                message: "Invalid JSON body",
-            },
-            status: 400,
-        };
+        return errorResult("invalid_request", "Invalid JSON body");
     }
 
     const inputValidation = QuestionInputSchema.safeParse(body);
     if (!inputValidation.success) {
-        return {
-            result: {
-                success: false,
-                error: "invalid_question",
-                message: inputValidation.error.errors[0].message,
-            },
-            status: 400,
-        };
+        return errorResult("invalid_question", inputValidation.error.errors[0].message);
     }
 
     const { question } = inputValidation.data;
 
-    // 3. Query LLM for structured intent
+    // 2. Query LLM for structured intent
     let llmResponse;
     try {
         const systemPrompt = injectDates(SYSTEM_PROMPT);
@@ -65,92 +49,43 @@ export async function handleAskRequest(request, env) {
         console.error("LLM error:", error);
 
         if (error.isTimeout) {
-            return {
-                result: {
-                    success: false,
-                    error: "llm_timeout",
-                    message: "Request timed out. Please try again.",
-                },
-                status: 504,
-            };
+            return errorResult("llm_timeout", "Request timed out. Please try again.");
         }
 
         if (error.isRateLimit) {
-            return {
-                result: {
-                    success: false,
-                    error: "service_busy",
-                    message: "Service is temporarily busy. Please try again later.",
-                },
-                status: 503,
-            };
+            return errorResult("service_busy", "Service is temporarily busy. Please try again later.");
         }
 
         if (error.isAuthError) {
             console.error("LLM API auth failed - check LLM_API_KEY");
-            return {
-                result: {
-                    success: false,
-                    error: "llm_error",
-                    message: "Service configuration error. Please try again later.",
-                },
-                status: 502,
-            };
+            return errorResult("llm_error", "Service configuration error. Please try again later.");
         }
 
-        return {
-            result: {
-                success: false,
-                error: "llm_error",
-                message: "Failed to process question. Please try again.",
-            },
-            status: 502,
-        };
+        return errorResult("llm_error", "Failed to process question. Please try again.");
     }
 
-    // 4. Check for rejected response (security/injection attempts)
+    // 3. Check for rejected response (security/injection attempts)
     const rejectedCheck = RejectedSchema.safeParse(llmResponse);
     if (rejectedCheck.success) {
-        return {
-            result: {
-                success: false,
-                error: "rejected",
-                message: "Sorry, I can't process that request.",
-            },
-            status: 400,
-        };
+        return errorResult("rejected", "Sorry, I can't process that request.");
     }
 
-    // 5. Check for unanswerable response (non-weather questions)
+    // 4. Check for unanswerable response (non-weather questions)
     const unanswerableCheck = UnanswerableSchema.safeParse(llmResponse);
     if (unanswerableCheck.success) {
-        return {
-            result: {
-                success: false,
-                error: "unanswerable",
-                message: `I can only answer questions about Isle of Man weather forecasts. ${unanswerableCheck.data.reason || ""}`.trim(),
-            },
-            status: 400,
-        };
+        return errorResult("unanswerable", `I can only answer questions about Isle of Man weather forecasts. ${unanswerableCheck.data.reason || ""}`.trim());
     }
 
-    // 6. Validate LLM response against schema
+    // 5. Validate LLM response against schema
     const intentValidation = QueryIntentSchema.safeParse(llmResponse);
     if (!intentValidation.success) {
         console.error("Intent validation failed:", intentValidation.error.errors, "Response:", llmResponse);
-        return {
-            result: {
-                success: false,
-                error: "llm_invalid_response",
-                message: "I couldn't understand that question. Please try rephrasing it.",
-            },
-            status: 500,
-        };
+        return errorResult("llm_invalid_response", "I couldn't understand that question. Please try rephrasing it.");
     }
 
     const validatedIntent = intentValidation.data;
 
-    // 7. Build and execute safe SQL query
+    // 6. Build and execute safe SQL query
     let results;
     try {
         const { sql, params } = buildQuery(validatedIntent);
@@ -159,20 +94,16 @@ export async function handleAskRequest(request, env) {
         const stmt = env.DB.prepare(sql);
         const bound = params.length > 0 ? stmt.bind(...params) : stmt;
         const response = await bound.all();
-        results = response.results || [];
+        results = withSegments(response.results || []);
+        if (validatedIntent.query_type === "best_day_for") {
+            results = rankForecasts(withHazards(results), validatedIntent.activity);
+        }
     } catch (dbError) {
         console.error("Database error:", dbError);
-        return {
-            result: {
-                success: false,
-                error: "internal_error",
-                message: "Database query failed. Please try again.",
-            },
-            status: 500,
-        };
+        return errorResult("internal_error", "Database query failed. Please try again.");
     }
 
-    // 8. Generate natural language answer using LLM
+    // 7. Generate natural language answer using LLM
     let answer;
     try {
         const responseSystemPrompt = injectDates(RESPONSE_SYSTEM_PROMPT);
@@ -215,6 +146,11 @@ function buildCitations(intent, results) {
         return [];
     }
 
+    // Ranked days - cite the top few
+    if (intent.query_type === "best_day_for") {
+        return results.slice(0, 3).map((r) => buildCitation(r.forecast));
+    }
+
     // For compare_dates, list_days_with, period_summary - get the latest forecast for each date
     if (intent.query_type === "compare_dates" || intent.query_type === "list_days_with" || intent.query_type === "period_summary") {
         const byDate = {};
@@ -300,7 +236,7 @@ function generateFallbackAnswer(intent, results) {
             const field = intent.fields?.[0] || "max_temp";
             const fieldLabel = formatFieldName(field);
             const avg = r.result !== null ? Math.round(r.result * 10) / 10 : "N/A";
-            const unit = field.includes("temp") ? "°C" : field === "wind_speed" ? "mph" : "";
+            const unit = formatFieldUnit(field);
 
             if (r.count === 0) {
                 answer = "No data available for that time period.";
@@ -357,7 +293,7 @@ function generateFallbackAnswer(intent, results) {
             const date = formatDateLong(r.forecast_date);
             const field = intent.fields?.[0] || "max_temp";
             const value = r[field];
-            const unit = field.includes("temp") ? "°C" : field === "wind_speed" ? "mph" : "";
+            const unit = formatFieldUnit(field);
             if (value != null) {
                 answer = `The ${intent.extreme === "min" ? "lowest" : "highest"} ${formatFieldName(field)} was ${value}${unit} on ${date}.`;
             } else {
@@ -409,6 +345,18 @@ function generateFallbackAnswer(intent, results) {
             break;
         }
 
+        case "best_day_for": {
+            const [best] = results;
+            const label = CONFIG.activities[intent.activity].label.toLowerCase();
+            const concerns = best.reasons.filter((reason) => reason.impact < 0).map((reason) => reason.detail);
+            answer = `The best day for a ${label} is ${formatDateLong(best.forecast.forecast_date)}, rated ${best.rating} (${best.score}/100).`;
+            if (concerns.length > 0) {
+                answer += ` Watch out for: ${concerns.join("; ")}.`;
+            }
+            results.slice(0, 3).forEach((r) => citations.push(buildCitation(r.forecast)));
+            break;
+        }
+
         default:
             answer = "Query completed but result format is unknown.";
     }
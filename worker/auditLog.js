@@ -0,0 +1,124 @@
+/**
+ * Admin Audit Log
+ *
+ * Records every /admin request in the admin_audit_log table: who called
+ * (by IP address; there is a single admin token), which route, and how it
+ * ended. Rejected tokens are recorded too, up to
+ * CONFIG.admin.unauthorizedAuditLimit per IP address per window, counted in
+ * KV. Like the ingestion ledger, writing is best-effort: a failure is logged
+ * but never fails the request. Request bodies aren't recorded.
+ *
+ * Entries older than CONFIG.admin.auditRetentionDays are deleted by the cron
+ * trigger (see pruneAdminActions).
+ */
+
+import { CONFIG } from "./config.js";
+
+const { unauthorizedAuditLimit, unauthorizedAuditWindowSeconds, auditRetentionDays } = CONFIG.admin;
+
+// KV key prefix of the per-IP counters of recorded wrong-token requests
+const UNAUTHORIZED_KEY_PREFIX = "audit:unauthorized:";
+
+// Whether a wrong-token request from this address is still within the
+// recording limit, counting it if so. Fails open, like the rate limiter.
+async function withinUnauthorizedLimit(env, ip) {
+    const key = `${UNAUTHORIZED_KEY_PREFIX}${ip || "unknown"}`;
+    try {
+        const count = Number(await env.RATE_LIMIT_KV.get(key)) || 0;
+        if (count >= unauthorizedAuditLimit) {
+            return false;
+        }
+        await env.RATE_LIMIT_KV.put(key, String(count + 1), { expirationTtl: unauthorizedAuditWindowSeconds });
+        return true;
+    } catch (error) {
+        console.error("Failed to count unauthorized admin request:", error);
+        return true;
+    }
+}
+
+/**
+ * Record one admin request. Requests rejected for their token are skipped
+ * once their address is over the recording limit.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Request} request - The admin request
+ * @param {URL} url - Parsed request URL
+ * @param {Object} outcome
+ * @param {string|null} outcome.action - Matched route, e.g. "POST /admin/reprocess"
+ * @param {Object} [outcome.params] - Path parameters of the matched route
+ * @param {number} outcome.status - HTTP status of the response
+ * @param {string|null} [outcome.error] - Error code of a failed request
+ */
+export async function recordAdminAction(env, request, url, { action, params = {}, status, error = null }) {
+    const ip = request.headers.get("CF-Connecting-IP");
+    if (error === "unauthorized" && !(await withinUnauthorizedLimit(env, ip))) {
+        return;
+    }
+
+    try {
+        await env.DB.prepare(`
+            insert into admin_audit_log (at, method, path, query, action, params, status, error, ip)
+            values (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            new Date().toISOString(),
+            request.method,
+            url.pathname,
+            url.search ? url.search.slice(1) : null,
+            action,
+            Object.keys(params).length > 0 ? JSON.stringify(params) : null,
+            status,
+            error,
+            ip
+        ).run();
+    } catch (logError) {
+        console.error("Failed to record admin action:", logError);
+    }
+}
+
+/**
+ * List recent admin requests, newest first.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of entries to return
+ * @param {string} [options.action] - Only entries for this route, e.g. "POST /admin/ingest"
+ * @returns {Promise<Object[]>} - Log rows with params decoded
+ */
+export async function listAdminActions(env, { limit = CONFIG.admin.defaultHistoryLimit, action } = {}) {
+    const params = [];
+    let whereClause = "";
+    if (action) {
+        whereClause = "where action = ?";
+        params.push(action);
+    }
+    params.push(limit);
+
+    const { results } = await env.DB.prepare(`
+        select *
+        from admin_audit_log
+        ${whereClause}
+        order by at desc, id desc
+        limit ?
+    `).bind(...params).all();
+
+    return (results || []).map((entry) => ({
+        ...entry,
+        params: entry.params ? JSON.parse(entry.params) : {},
+    }));
+}
+
+/**
+ * Delete audit log entries older than CONFIG.admin.auditRetentionDays.
+ * Best-effort, like recording.
+ *
+ * @param {Object} env - Environment bindings including DB
+ */
+export async function pruneAdminActions(env) {
+    const cutoff = new Date(Date.now() - auditRetentionDays * 86400 * 1000).toISOString();
+    try {
+        const { meta } = await env.DB.prepare("delete from admin_audit_log where at < ?").bind(cutoff).run();
+        console.log(`Deleted ${meta.changes} audit log entries from before ${cutoff}`);
+    } catch (error) {
+        console.error("Failed to prune the audit log:", error);
+    }
+}
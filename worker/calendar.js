@@ -0,0 +1,194 @@
+/**
+ * iCalendar Feed
+ *
+ * GET /v1/calendar.ics publishes one all-day event per forecast date, built
+ * from the best forecast for that day (see buildLatestSameDayCTE). Each
+ * event's UID is derived from its date alone, so when a newer bulletin
+ * arrives calendar apps update the existing event rather than adding another.
+ */
+
+import { CONFIG } from "./config.js";
+import { CONDITION_CODES } from "./conditions.js";
+import { validationError } from "./errors.js";
+import { addDays, localToday } from "./localTime.js";
+import { buildConditionClause, buildLatestSameDayCTE } from "./queryBuilder.js";
+import { CalendarQuerySchema, parseQuery } from "./validation.js";
+
+const PRODUCT_ID = "-//IOM Weather//Forecast Calendar//EN";
+const UID_DOMAIN = "iom-weather";
+
+// Escape a TEXT property value (RFC 5545 section 3.3.11).
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+// Fold a content line at 75 octets, without splitting a UTF-8 character.
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = "";
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = "";
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+// YYYY-MM-DD -> YYYYMMDD
+function icsDate(dateStr) {
+    return dateStr.replace(/-/g, "");
+}
+
+// Instant -> YYYYMMDDTHHMMSSZ
+function icsDateTime(instant) {
+    return new Date(instant).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/**
+ * One-line summary of a forecast: condition, temperatures, wind and rainfall.
+ * Example: "🌧️ Moderate rain, 5-10°C, SW 15 mph gusts 40, rain 5-10mm"
+ *
+ * @param {Object} forecast - Forecast row
+ * @returns {string}
+ */
+export function calendarSummary(forecast) {
+    const parts = [];
+
+    const condition = CONDITION_CODES[forecast.condition_code];
+    if (condition) parts.push(`${condition.icon} ${condition.label}`);
+
+    if (forecast.min_temp != null && forecast.max_temp != null) {
+        parts.push(`${forecast.min_temp}-${forecast.max_temp}°C`);
+    } else if (forecast.max_temp != null) {
+        parts.push(`max ${forecast.max_temp}°C`);
+    }
+
+    const wind = [
+        forecast.wind_direction,
+        forecast.wind_speed != null ? `${forecast.wind_speed} mph` : null,
+        forecast.wind_gust_max != null ? `gusts ${forecast.wind_gust_max}` : null,
+    ].filter(Boolean);
+    if (wind.length > 0) parts.push(wind.join(" "));
+
+    if (forecast.rainfall_max === 0) {
+        parts.push("dry");
+    } else if (forecast.rainfall_max != null) {
+        const range = forecast.rainfall_min === forecast.rainfall_max
+            ? forecast.rainfall_max
+            : `${forecast.rainfall_min}-${forecast.rainfall_max}`;
+        parts.push(`rain ${range}mm`);
+    }
+
+    return parts.join(", ") || "Forecast";
+}
+
+// Event description: the forecast text, then the detail fields and comments.
+function calendarDescription(forecast) {
+    return [
+        forecast.description,
+        forecast.wind_details && `Wind: ${forecast.wind_details}`,
+        forecast.rainfall && `Rainfall: ${forecast.rainfall}`,
+        forecast.visibility && `Visibility: ${forecast.visibility}`,
+        forecast.comments && `Comments: ${forecast.comments}`,
+        `Published ${forecast.published_at}`,
+    ]
+        .filter(Boolean)
+        .join("\n");
+}
+
+/**
+ * Build an iCalendar document with one all-day event per forecast.
+ *
+ * SEQUENCE is the publication time in minutes, so it increases with every
+ * newer bulletin for the same day.
+ *
+ * @param {Object[]} forecasts - One forecast per date
+ * @param {Date} [now] - Generation time, for DTSTAMP
+ * @returns {string} - text/calendar body with CRLF line endings
+ */
+export function buildCalendar(forecasts, now = new Date()) {
+    const refresh = `PT${CONFIG.feed.refreshThresholdHours}H`;
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(CONFIG.calendar.name)}`,
+        "X-WR-TIMEZONE:Europe/Isle_of_Man",
+        `REFRESH-INTERVAL;VALUE=DURATION:${refresh}`,
+        `X-PUBLISHED-TTL:${refresh}`,
+    ];
+
+    for (const forecast of forecasts) {
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${forecast.forecast_date}@${UID_DOMAIN}`,
+            `DTSTAMP:${icsDateTime(now)}`,
+            `DTSTART;VALUE=DATE:${icsDate(forecast.forecast_date)}`,
+            `DTEND;VALUE=DATE:${icsDate(addDays(forecast.forecast_date, 1))}`,
+            `LAST-MODIFIED:${icsDateTime(forecast.published_at)}`,
+            `SEQUENCE:${Math.floor(Date.parse(forecast.published_at) / 60000)}`,
+            `SUMMARY:${escapeText(calendarSummary(forecast))}`,
+            `DESCRIPTION:${escapeText(calendarDescription(forecast))}`,
+            "TRANSP:TRANSPARENT",
+            "END:VEVENT"
+        );
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * GET /v1/calendar.ics - subscribable calendar of daily forecasts.
+ *
+ * Query parameters (see CalendarQuerySchema): condition, repeatable, to keep
+ * only days matching every condition, and past_days.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: string|Object, status: number, contentType?: string}>}
+ */
+export async function handleCalendarRequest(request, env, url) {
+    const queryValidation = parseQuery(CalendarQuerySchema, url, {
+        condition: url.searchParams.getAll("condition"),
+    });
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const { condition, past_days } = queryValidation.data;
+    const from = addDays(localToday(), -past_days);
+    const params = [from];
+    const conditionClause = buildConditionClause(condition, params);
+
+    const query = `
+        with ${buildLatestSameDayCTE("forecast_date >= ?")}
+        select *
+        from latest_same_day
+        where ${conditionClause}
+        order by forecast_date asc
+    `;
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return {
+        result: buildCalendar(results || []),
+        status: 200,
+        contentType: "text/calendar; charset=utf-8",
+    };
+}
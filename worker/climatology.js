@@ -0,0 +1,227 @@
+/**
+ * Climatology Statistics
+ *
+ * GET /v1/climatology aggregates the stored forecasts by month, season or
+ * year. Like /ask, it works on the best forecast for each day (see
+ * buildLatestSameDayCTE) and counts rainy and dry days with the same
+ * conditions /ask is prompted to use, so the two report the same numbers.
+ */
+
+import { validationError } from "./errors.js";
+import { buildConditionClause, buildLatestSameDayCTE } from "./queryBuilder.js";
+import { ClimatologyQuerySchema, parseQuery } from "./validation.js";
+
+// Rainy and dry days as /ask defines them (see prompts.js)
+const RAINY_DAY = [{ field: "rainfall", operator: "ne", value: "0" }];
+const DRY_DAY = [{ field: "rainfall", operator: "eq", value: "0" }];
+
+const VISIBILITY_CODES = ["good", "moderate", "poor"];
+
+// Meteorological season of forecast_date
+const SEASON_SQL = `CASE
+    WHEN strftime('%m', forecast_date) IN ('12', '01', '02') THEN 'winter'
+    WHEN strftime('%m', forecast_date) IN ('03', '04', '05') THEN 'spring'
+    WHEN strftime('%m', forecast_date) IN ('06', '07', '08') THEN 'summer'
+    ELSE 'autumn'
+END`;
+
+// Year a season belongs to: December counts towards the following winter
+const SEASON_YEAR_SQL = `(CAST(strftime('%Y', forecast_date) AS INTEGER) + (strftime('%m', forecast_date) = '12'))`;
+
+// Order of the seasons within a year
+const SEASON_ORDER_SQL = `CASE ${SEASON_SQL}
+    WHEN 'winter' THEN 1 WHEN 'spring' THEN 2 WHEN 'summer' THEN 3 ELSE 4
+END`;
+
+/**
+ * SQL for a day's period label and its sort key.
+ *
+ * Labels are "2025-01", "2025-winter" and "2025", or "01" and "winter" when
+ * years are combined.
+ *
+ * @param {string} group - One of CLIMATOLOGY_GROUPS
+ * @param {boolean} acrossYears - Combine the same period of every year
+ * @returns {{label: string, order: string}}
+ */
+function periodSql(group, acrossYears) {
+    if (group === "year") {
+        return { label: "strftime('%Y', forecast_date)", order: "forecast_date" };
+    }
+    if (group === "season") {
+        return acrossYears
+            ? { label: SEASON_SQL, order: SEASON_ORDER_SQL }
+            : { label: `${SEASON_YEAR_SQL} || '-' || ${SEASON_SQL}`, order: "forecast_date" };
+    }
+    return acrossYears
+        ? { label: "strftime('%m', forecast_date)", order: "strftime('%m', forecast_date)" }
+        : { label: "strftime('%Y-%m', forecast_date)", order: "forecast_date" };
+}
+
+/**
+ * Build the aggregate query: one row per period with the averages and counts,
+ * joined to the days holding its record high and low (the latest such day on
+ * a tie, as /ask's extreme_value picks).
+ *
+ * @param {Object} query - Validated ClimatologyQuerySchema output
+ * @returns {{sql: string, params: Array}}
+ */
+function buildClimatologyQuery({ group, from, to, across_years }) {
+    const params = [];
+    const dateClauses = [];
+    if (from) {
+        dateClauses.push("forecast_date >= ?");
+        params.push(from);
+    }
+    dateClauses.push("forecast_date <= ?");
+    params.push(to);
+
+    const period = periodSql(group, across_years);
+    const rainyClause = buildConditionClause(RAINY_DAY, params);
+    const dryClause = buildConditionClause(DRY_DAY, params);
+    const visibilityColumns = VISIBILITY_CODES.map(
+        (code) => `SUM(CASE WHEN visibility_code = '${code}' THEN 1 ELSE 0 END) AS visibility_${code}`
+    ).join(",\n                ");
+
+    const sql = `
+        WITH ${buildLatestSameDayCTE(dateClauses.join(" AND "))},
+        days AS (
+            SELECT *, ${period.label} AS period, ${period.order} AS period_order
+            FROM latest_same_day
+        ),
+        ranked AS (
+            SELECT
+                period,
+                forecast_date,
+                max_temp,
+                min_temp,
+                ROW_NUMBER() OVER (
+                    PARTITION BY period
+                    ORDER BY max_temp IS NULL, CAST(max_temp AS REAL) DESC, forecast_date DESC
+                ) AS high_rank,
+                ROW_NUMBER() OVER (
+                    PARTITION BY period
+                    ORDER BY min_temp IS NULL, CAST(min_temp AS REAL) ASC, forecast_date DESC
+                ) AS low_rank
+            FROM days
+        ),
+        stats AS (
+            SELECT
+                period,
+                MIN(period_order) AS period_order,
+                COUNT(*) AS days,
+                MIN(forecast_date) AS start_date,
+                MAX(forecast_date) AS end_date,
+                AVG(CAST(min_temp AS REAL)) AS mean_min_temp,
+                AVG(CAST(max_temp AS REAL)) AS mean_max_temp,
+                SUM(CASE WHEN ${rainyClause} THEN 1 ELSE 0 END) AS rainy_days,
+                SUM(CASE WHEN ${dryClause} THEN 1 ELSE 0 END) AS dry_days,
+                SUM(rainfall_min) AS rainfall_total_min,
+                SUM(rainfall_max) AS rainfall_total_max,
+                AVG(rainfall_min) AS rainfall_mean_min,
+                AVG(rainfall_max) AS rainfall_mean_max,
+                AVG(CAST(wind_speed AS REAL)) AS mean_wind_speed,
+                AVG(wind_gust_max) AS mean_wind_gust_max,
+                ${visibilityColumns}
+            FROM days
+            GROUP BY period
+        )
+        SELECT
+            stats.*,
+            high.max_temp AS record_high,
+            high.forecast_date AS record_high_date,
+            low.min_temp AS record_low,
+            low.forecast_date AS record_low_date
+        FROM stats
+        LEFT JOIN ranked high ON high.period = stats.period AND high.high_rank = 1 AND high.max_temp IS NOT NULL
+        LEFT JOIN ranked low ON low.period = stats.period AND low.low_rank = 1 AND low.min_temp IS NOT NULL
+        ORDER BY stats.period_order
+    `;
+
+    return { sql, params };
+}
+
+// Averages to one decimal place; null when no day had a value
+function round(value) {
+    return value == null ? null : Math.round(value * 10) / 10;
+}
+
+// Record value and its date, or null when no day had a value
+function record(value, date) {
+    return value == null ? null : { value, date };
+}
+
+// Shape one aggregate row for the response.
+function formatPeriod(row) {
+    return {
+        period: row.period,
+        start_date: row.start_date,
+        end_date: row.end_date,
+        days: row.days,
+        temperature: {
+            mean_min: round(row.mean_min_temp),
+            mean_max: round(row.mean_max_temp),
+            record_high: record(row.record_high, row.record_high_date),
+            record_low: record(row.record_low, row.record_low_date),
+        },
+        rainfall: {
+            rainy_days: row.rainy_days,
+            dry_days: row.dry_days,
+            total: { min: round(row.rainfall_total_min), max: round(row.rainfall_total_max) },
+            daily_mean: { min: round(row.rainfall_mean_min), max: round(row.rainfall_mean_max) },
+        },
+        wind: {
+            mean_speed: round(row.mean_wind_speed),
+            mean_gust_max: round(row.mean_wind_gust_max),
+        },
+        visibility: {
+            ...Object.fromEntries(VISIBILITY_CODES.map((code) => [code, row[`visibility_${code}`]])),
+            unknown: row.days - VISIBILITY_CODES.reduce((sum, code) => sum + row[`visibility_${code}`], 0),
+        },
+    };
+}
+
+/**
+ * Aggregate the best forecast for each day into periods.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Object} query - Validated ClimatologyQuerySchema output
+ * @returns {Promise<Object[]>} - One entry per period, in order
+ */
+export async function getClimatology(env, query) {
+    const { sql, params } = buildClimatologyQuery(query);
+    const { results } = await env.DB.prepare(sql).bind(...params).all();
+    return (results || []).map(formatPeriod);
+}
+
+/**
+ * GET /v1/climatology - monthly, seasonal or yearly statistics.
+ *
+ * Query parameters (see ClimatologyQuerySchema): group, from, to and
+ * across_years.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: Object, status: number}>}
+ */
+export async function handleClimatologyRequest(request, env, url) {
+    const queryValidation = parseQuery(ClimatologyQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const query = queryValidation.data;
+    const periods = await getClimatology(env, query);
+
+    return {
+        result: {
+            success: true,
+            group: query.group,
+            across_years: query.across_years,
+            from: query.from ?? null,
+            to: query.to,
+            periods,
+        },
+        status: 200,
+    };
+}
@@ -0,0 +1,141 @@
+/**
+ * Weather Condition Classification Module
+ *
+ * Assigns each forecast a WMO-style weather code and precipitation-type flags
+ * from its description, so the API, /ask queries and the forecast cards all
+ * agree on what "sunny" or "snowy" means.
+ *
+ * Codes follow the WMO weather interpretation codes (as used by Open-Meteo),
+ * limited to the conditions the Isle of Man forecast describes.
+ */
+
+/**
+ * Supported condition codes with a label, card icon and card CSS class.
+ *
+ * NOTE: The icon/class mapping is duplicated in app/forecastCard.js for the
+ * frontend. Keep both in sync when making changes.
+ */
+export const CONDITION_CODES = {
+    0: { label: "Clear sky", icon: "☀️", className: "weather-sunny" },
+    1: { label: "Mainly clear", icon: "☀️", className: "weather-sunny" },
+    2: { label: "Partly cloudy", icon: "🌤️", className: "weather-sunny-cloudy" },
+    3: { label: "Overcast", icon: "☁️", className: "weather-cloudy" },
+    45: { label: "Fog", icon: "🌫️", className: "weather-cloudy" },
+    51: { label: "Drizzle", icon: "🌧️", className: "weather-rainy" },
+    61: { label: "Slight rain", icon: "🌧️", className: "weather-rainy" },
+    63: { label: "Moderate rain", icon: "🌧️", className: "weather-rainy" },
+    65: { label: "Heavy rain", icon: "🌧️", className: "weather-rainy" },
+    68: { label: "Sleet", icon: "🌨️", className: "weather-cloudy-snowy" },
+    71: { label: "Slight snow", icon: "❄️", className: "weather-snowy" },
+    73: { label: "Moderate snow", icon: "❄️", className: "weather-snowy" },
+    75: { label: "Heavy snow", icon: "❄️", className: "weather-snowy" },
+    80: { label: "Rain showers", icon: "🌦️", className: "weather-cloudy-rainy" },
+    82: { label: "Heavy rain showers", icon: "🌦️", className: "weather-cloudy-rainy" },
+    85: { label: "Snow showers", icon: "🌨️", className: "weather-cloudy-snowy" },
+    89: { label: "Hail showers", icon: "🌨️", className: "weather-cloudy-snowy" },
+    95: { label: "Thunderstorm", icon: "⛈️", className: "weather-rainy" },
+    96: { label: "Thunderstorm with hail", icon: "⛈️", className: "weather-rainy" },
+};
+
+/**
+ * Precipitation-type flag columns and the description phrases that set them.
+ */
+const PRECIP_PATTERNS = {
+    precip_rain: /\b(rain|rainy|raining|downpours?)\b/,
+    precip_drizzle: /\bdrizzle\b/,
+    precip_showers: /\b(showers?|showery)\b/,
+    precip_snow: /\b(snow|snowfall|blizzards?)\b/,
+    precip_sleet: /\b(sleet|wintry)\b/,
+    precip_hail: /\bhail\b/,
+    precip_fog: /\b(fog|foggy)\b/,
+    precip_thunder: /\b(thunder|thundery|thunderstorms?|lightning)\b/,
+};
+
+export const PRECIP_FLAGS = Object.keys(PRECIP_PATTERNS);
+
+const HEAVY = /\b(heavy|torrential|persistent|prolonged|large)\b/;
+const LIGHT = /\b(light|slight|patchy|isolated|occasional|odd|spots of|risk of|chance of)\b/;
+
+// Pick the light/moderate/heavy variant of a code family.
+function byIntensity(text, light, moderate, heavy) {
+    if (HEAVY.test(text)) return heavy;
+    if (LIGHT.test(text)) return light;
+    return moderate;
+}
+
+const SUN = /\b(sun|sunny|sunshine|bright|clear|fine)\b/;
+const CLOUD = /\b(cloud|cloudy|cloudier|overcast|grey|gray|dull)\b/;
+
+// Cloud cover code for descriptions without precipitation.
+function cloudCoverCode(text) {
+    const sun = SUN.test(text);
+    const cloud = CLOUD.test(text);
+    const breaks = /\b(intervals|spells|breaks|at times|some sunshine|variable)\b/.test(text);
+
+    if (sun && !cloud) {
+        if (breaks) return 2;
+        return /\b(mainly|mostly|largely)\b/.test(text) ? 1 : 0;
+    }
+    if (cloud && !sun) return breaks ? 2 : 3;
+    // Mixed or unspecified cover
+    return 2;
+}
+
+/**
+ * Classifies a forecast description into a WMO-style condition code and
+ * precipitation-type flags.
+ *
+ * The code reflects the most significant weather mentioned, in WMO order:
+ * thunder > hail/snow showers > snow > sleet > showers > rain > drizzle > fog,
+ * falling back to cloud cover for dry days. "Dry at first, rain later" is
+ * therefore classified as rain.
+ *
+ * @param {string} description - Forecast description text
+ * @returns {Object} - condition_code plus a 0/1 value for each of PRECIP_FLAGS
+ */
+export function classifyCondition(description) {
+    const text = typeof description === "string" ? description.toLowerCase() : "";
+    const flags = {};
+    for (const [flag, pattern] of Object.entries(PRECIP_PATTERNS)) {
+        flags[flag] = pattern.test(text) ? 1 : 0;
+    }
+
+    let code;
+    if (!text) {
+        code = null;
+    } else if (flags.precip_thunder) {
+        code = flags.precip_hail ? 96 : 95;
+    } else if (flags.precip_hail && flags.precip_showers) {
+        code = 89;
+    } else if (flags.precip_snow && flags.precip_showers) {
+        code = 85;
+    } else if (flags.precip_snow) {
+        code = byIntensity(text, 71, 73, 75);
+    } else if (flags.precip_sleet || flags.precip_hail) {
+        code = 68;
+    } else if (flags.precip_showers) {
+        code = HEAVY.test(text) ? 82 : 80;
+    } else if (flags.precip_rain) {
+        code = byIntensity(text, 61, 63, 65);
+    } else if (flags.precip_drizzle) {
+        code = 51;
+    } else if (flags.precip_fog) {
+        code = 45;
+    } else {
+        code = cloudCoverCode(text);
+    }
+
+    return { condition_code: code, ...flags };
+}
+
+/**
+ * Whether a description says anything about the weather itself, as opposed
+ * to a fragment like "heavy overnight" that qualifies an earlier clause.
+ *
+ * @param {string} description - Forecast description text
+ * @returns {boolean}
+ */
+export function mentionsWeather(description) {
+    const text = typeof description === "string" ? description.toLowerCase() : "";
+    return [...Object.values(PRECIP_PATTERNS), SUN, CLOUD, /\b(dry|fair)\b/].some((pattern) => pattern.test(text));
+}
@@ -7,6 +7,12 @@
  *   - LLM_MODEL: Model identifier
  *   - LLM_TIMEOUT_MS: Request timeout in milliseconds
  *   - LLM_MAX_RETRIES: Number of retry attempts for server errors
+ *
+ * Feed client settings can be overridden the same way:
+ *   - FEED_URL: RSS feed URL (e.g. a local stand-in server when testing)
+ *   - FEED_TIMEOUT_MS: Per-attempt request timeout in milliseconds
+ *   - FEED_MAX_RETRIES: Number of retry attempts for transient failures
+ *   - FEED_RETRY_DELAY_MS: Base backoff delay, doubled on each retry
  */
 
 /**
@@ -46,6 +52,42 @@ export function getLLMConfig(env = {}) {
     };
 }
 
+/**
+ * Default RSS feed configuration values.
+ * The fetch settings can be overridden at runtime via getFeedConfig(env).
+ */
+const FEED_DEFAULTS = {
+    url: "https://www.gov.im/weather/5-day-forecast/Rss5DayForecast",
+    refreshThresholdHours: 3,
+    expectedForecastDays: 5,
+    timeoutMs: 10000,
+    maxRetries: 2,
+    retryDelayMs: 1000,
+};
+
+// Parse a whole-number setting, falling back to the default when it is unset
+// or not a non-negative number (NaN retries would never stop).
+function integerSetting(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Get feed client configuration with environment variable overrides.
+ *
+ * @param {Object} env - Environment bindings from Cloudflare Worker
+ * @returns {Object} - Feed configuration with any overrides applied
+ */
+export function getFeedConfig(env = {}) {
+    return {
+        ...FEED_DEFAULTS,
+        url: env.FEED_URL || FEED_DEFAULTS.url,
+        timeoutMs: integerSetting(env.FEED_TIMEOUT_MS, FEED_DEFAULTS.timeoutMs),
+        maxRetries: integerSetting(env.FEED_MAX_RETRIES, FEED_DEFAULTS.maxRetries),
+        retryDelayMs: integerSetting(env.FEED_RETRY_DELAY_MS, FEED_DEFAULTS.retryDelayMs),
+    };
+}
+
 export const CONFIG = {
     // LLM defaults (use getLLMConfig(env) for runtime configuration)
     llm: LLM_DEFAULTS,
@@ -56,18 +98,138 @@ export const CONFIG = {
         windowSeconds: 86400, // 24 hours
     },
 
+    // API keys for third-party consumers (see apiKeys.js). Quotas are per
+    // Isle of Man calendar day.
+    apiKeys: {
+        header: "X-API-Key",
+        prefix: "iomw_",
+        defaultReadQuota: 10000,
+        defaultAskQuota: 50,
+        maxQuota: 1000000,
+        defaultUsageDays: 30, // Days of usage returned by GET /admin/api-keys/{id}
+        maxUsageDays: 366,
+    },
+
     // CORS settings
     cors: {
         defaultOrigin: "https://iom-weather.pages.dev",
         allowedMethods: "GET, POST, OPTIONS",
-        allowedHeaders: "Content-Type",
+        allowedHeaders: "Content-Type, If-None-Match, X-API-Key",
+        exposedHeaders: "X-Data-Stale, Content-Disposition, ETag, X-Request-Id",
         maxAge: "86400",
     },
 
-    // RSS feed settings
-    feed: {
-        url: "https://www.gov.im/weather/5-day-forecast/Rss5DayForecast",
-        refreshThresholdHours: 3,
-        expectedForecastDays: 5,
+    // Public /v1 API settings
+    api: {
+        maxRangeDays: 366, // Longest from/to span for GET /v1/forecasts
+        defaultPageSize: 100,
+        maxPageSize: 500,
+        exportBatchSize: 500, // Rows read from D1 at a time when streaming CSV/NDJSON
+    },
+
+    // iCalendar feed (GET /v1/calendar.ics)
+    calendar: {
+        name: "Isle of Man Weather",
+        defaultPastDays: 14, // Days before today kept in the feed
+        maxPastDays: 366,
+        maxConditions: 5,
+    },
+
+    // Atom and JSON Feed (GET /v1/feed.atom, /v1/feed.json)
+    syndication: {
+        title: "Isle of Man Weather",
+        homePageUrl: "https://iom-weather.pages.dev",
+        author: "Isle of Man Government",
+        maxEntries: 20, // Most recent publications included
+    },
+
+    // Embeddable widget (GET /v1/widget, /v1/widget.svg)
+    widget: {
+        title: "Isle of Man Weather",
+        defaultDays: 1, // Today only
+        maxDays: 5,
+        svgDayWidth: 120, // Width of one day in the SVG badge, in pixels
+        svgHeight: 96,
+    },
+
+    // Activity profiles for GET /v1/recommendations and "best day for" questions
+    // (see activities.js). A day starts at 100 points and loses points for each
+    // condition outside the profile; reaching a limit makes it unsuitable.
+    activities: {
+        coastal_walk: {
+            label: "Coastal walk",
+            temperature: { min: 8, max: 22, pointsPerDegree: 3 }, // Comfortable daytime high, °C
+            wind: { max: 20, limit: 40, pointsPerMph: 2 }, // Mean wind speed, mph
+            gusts: { max: 40, points: 15 }, // Penalty when gusts exceed max, mph
+            rain: { pointsPerMm: 4, maxPoints: 40 }, // Per mm of mid-range rainfall
+            visibility: { moderate: 10, poor: 25 },
+            hazards: { coastal_overtopping: 50, gale: 40, strong_wind: 15, thunder: 30, flooding: 15, frost_ice: 10, snow: 20 },
+        },
+        hill_walk: {
+            label: "Hill walk",
+            temperature: { min: 6, max: 20, pointsPerDegree: 3 },
+            wind: { max: 15, limit: 35, pointsPerMph: 3 },
+            gusts: { max: 35, points: 20 },
+            rain: { pointsPerMm: 4, maxPoints: 40 },
+            visibility: { moderate: 20, poor: 40 },
+            hazards: { hill_fog: 35, gale: 50, strong_wind: 20, thunder: 40, frost_ice: 15, snow: 30 },
+        },
+        sailing: {
+            label: "Sailing",
+            temperature: { min: 10, max: 26, pointsPerDegree: 2 },
+            wind: { min: 8, max: 20, limit: 30, pointsPerMph: 3 }, // Needs some wind to sail
+            gusts: { max: 30, points: 25 },
+            rain: { pointsPerMm: 2, maxPoints: 20 },
+            visibility: { moderate: 15, poor: 40 },
+            hazards: { gale: 100, strong_wind: 30, thunder: 50, coastal_overtopping: 20 },
+        },
+        cycling: {
+            label: "Cycling",
+            temperature: { min: 8, max: 24, pointsPerDegree: 3 },
+            wind: { max: 15, limit: 35, pointsPerMph: 2 },
+            gusts: { max: 35, points: 20 },
+            rain: { pointsPerMm: 6, maxPoints: 50 },
+            visibility: { moderate: 10, poor: 30 },
+            hazards: { frost_ice: 40, snow: 50, hill_fog: 20, gale: 50, strong_wind: 20, thunder: 30, flooding: 20 },
+        },
+    },
+
+    // GraphQL endpoint (see graphql.js). Cost is estimated before execution
+    // from the @cost and @listSize directives in the schema.
+    graphql: {
+        maxQueryLength: 10000, // Characters
+        maxDepth: 6, // Nested field levels, leaf fields included
+        maxCost: 1000,
     },
+
+    // Caching of forecast GET responses (see responseCache.js)
+    cache: {
+        browserMaxAge: 60, // Seconds before browsers revalidate with the ETag
+        edgeMaxAge: 600, // Seconds a rendered response stays in the Workers Cache API
+    },
+
+    // Background refresh of stale data
+    refresh: {
+        leaseSeconds: 120, // KV requires a TTL of at least 60 seconds
+        minIntervalSeconds: 300, // Between refreshes started by requests for stale data
+    },
+
+    // Admin API settings
+    admin: {
+        defaultHistoryLimit: 50,
+        auditRetentionDays: 90, // Older audit log entries are deleted by the cron trigger
+        // Requests with a wrong token recorded per IP address per window, so
+        // guessing tokens can't grow the audit log without limit
+        unauthorizedAuditLimit: 20,
+        unauthorizedAuditWindowSeconds: 3600,
+    },
+
+    // Page sizes for /admin/reprocess
+    reprocess: {
+        archivePageSize: 50,
+        rowPageSize: 500,
+    },
+
+    // RSS feed defaults (use getFeedConfig(env) for runtime configuration)
+    feed: FEED_DEFAULTS,
 };
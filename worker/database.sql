@@ -16,9 +16,168 @@ create table if not exists forecast_items
     created_at      DATETIME default current_timestamp,
     rainfall        TEXT,
     rainfall_min    REAL,
-    rainfall_max    REAL
+    rainfall_max    REAL,
+    -- Isle of Man calendar date of published_at (see localTime.js)
+    published_date  TEXT,
+    -- Denormalized from wind_details (see parseWindDetails in utils.js)
+    wind_speed_min         INTEGER,
+    wind_speed_max         INTEGER,
+    wind_gust_max          INTEGER,
+    wind_direction_initial TEXT,
+    wind_direction_later   TEXT,
+    wind_trend             TEXT,
+    -- Classified from description (see conditions.js); precip_* flags are 0/1
+    condition_code         INTEGER,
+    precip_rain            INTEGER,
+    precip_drizzle         INTEGER,
+    precip_showers         INTEGER,
+    precip_snow            INTEGER,
+    precip_sleet           INTEGER,
+    precip_hail            INTEGER,
+    precip_fog             INTEGER,
+    precip_thunder         INTEGER
 );
 
 -- Primary query index: covers date filtering, grouping, and published_at lookups
 -- Used by the CTE that finds the best forecast for each date
 create index if not exists idx_forecast_published on forecast_items (forecast_date, published_at);
+
+-- Ledger of fetchAndStoreWeather runs (see ingestionLog.js)
+-- trigger: 'cron', 'request' or 'manual'; status: 'running', 'succeeded' or 'failed'
+-- failed_sections is a JSON array of {header, error} for sections the parser rejected
+create table if not exists ingestion_runs
+(
+    id              INTEGER primary key AUTOINCREMENT,
+    trigger         TEXT not null,
+    status          TEXT not null,
+    started_at      TEXT not null,
+    finished_at     TEXT,
+    feed_status     INTEGER,
+    items_parsed    INTEGER,
+    failed_sections TEXT,
+    rows_inserted   INTEGER default 0,
+    rows_updated    INTEGER default 0,
+    rows_skipped    INTEGER default 0,
+    error           TEXT
+);
+
+create index if not exists idx_ingestion_runs_started on ingestion_runs (started_at);
+
+-- Feed structure drift found during an ingestion run (see feed.js)
+-- type: 'unknown_heading', 'missing_section' or 'unparseable_value'
+-- section: the forecast's <h2> text; field: the normalized <h3> heading
+create table if not exists ingestion_drift_warnings
+(
+    run_id  INTEGER not null references ingestion_runs (id) on delete cascade,
+    type    TEXT    not null,
+    section TEXT,
+    field   TEXT    not null,
+    detail  TEXT    not null
+);
+
+create index if not exists idx_ingestion_drift_warnings_run on ingestion_drift_warnings (run_id);
+
+-- Raw RSS feed bodies, one row per distinct body (see ingestion.js)
+-- Lets archived feeds be replayed through the parser via /admin/reprocess
+create table if not exists feed_archive
+(
+    id           INTEGER primary key AUTOINCREMENT,
+    content_hash TEXT unique not null,
+    body         TEXT        not null,
+    fetched_at   TEXT        not null,
+    last_seen_at TEXT        not null,
+    fetch_count  INTEGER default 1
+);
+
+-- HTTP validators from the last successfully ingested fetch of each feed URL
+-- Sent back as If-None-Match/If-Modified-Since so an unchanged feed returns 304
+create table if not exists feed_validators
+(
+    url           TEXT primary key,
+    etag          TEXT,
+    last_modified TEXT,
+    updated_at    TEXT not null
+);
+
+-- Hazards classified from comments/visibility at ingestion (see hazards.js)
+-- hazard: frost_ice, strong_wind, gale, snow, coastal_overtopping, hill_fog, thunder, flooding
+-- severity: 'low', 'moderate' or 'high' (a hint derived from the wording)
+create table if not exists forecast_hazards
+(
+    forecast_id INTEGER not null references forecast_items (id) on delete cascade,
+    hazard      TEXT    not null,
+    severity    TEXT    not null,
+    primary key (forecast_id, hazard)
+);
+
+create index if not exists idx_forecast_hazards_hazard on forecast_hazards (hazard);
+
+-- Time-of-day segments of description, wind_details and visibility (see segments.js)
+-- period: 'morning', 'afternoon', 'evening' or 'overnight'; only periods the
+-- text covers are stored. condition_code and precip_* are classified from the
+-- segment description as on forecast_items.
+create table if not exists forecast_segments
+(
+    forecast_id    INTEGER not null references forecast_items (id) on delete cascade,
+    period         TEXT    not null,
+    description    TEXT,
+    wind_details   TEXT,
+    visibility     TEXT,
+    condition_code INTEGER,
+    precip_rain    INTEGER,
+    precip_drizzle INTEGER,
+    precip_showers INTEGER,
+    precip_snow    INTEGER,
+    precip_sleet   INTEGER,
+    precip_hail    INTEGER,
+    precip_fog     INTEGER,
+    precip_thunder INTEGER,
+    primary key (forecast_id, period)
+);
+
+-- API keys for third-party consumers (see apiKeys.js)
+-- Only the SHA-256 hash of each key is stored; key_prefix (its first
+-- characters) identifies it in listings. Revoked keys are kept for their usage.
+create table if not exists api_keys
+(
+    id         INTEGER primary key AUTOINCREMENT,
+    name       TEXT    not null,
+    key_prefix TEXT    not null,
+    key_hash   TEXT    unique not null,
+    read_quota INTEGER not null,
+    ask_quota  INTEGER not null,
+    created_at TEXT    not null,
+    rotated_at TEXT,
+    revoked_at TEXT
+);
+
+-- Requests counted against each key's quotas, per Isle of Man calendar day
+-- kind: 'read' (forecast reads, including /graphql) or 'ask'
+create table if not exists api_key_usage
+(
+    key_id INTEGER not null references api_keys (id) on delete cascade,
+    day    TEXT    not null,
+    kind   TEXT    not null,
+    count  INTEGER not null,
+    primary key (key_id, day, kind)
+);
+
+-- Every /admin request, including rejected ones (see auditLog.js)
+-- action: the matched admin route, e.g. 'POST /admin/api-keys/:id/rotate';
+-- null when the token was wrong or no route matched
+-- error: the error code of a failed request
+create table if not exists admin_audit_log
+(
+    id     INTEGER primary key AUTOINCREMENT,
+    at     TEXT    not null,
+    method TEXT    not null,
+    path   TEXT    not null,
+    query  TEXT,
+    action TEXT,
+    params TEXT,
+    status INTEGER not null,
+    error  TEXT,
+    ip     TEXT
+);
+
+create index if not exists idx_admin_audit_log_at on admin_audit_log (at);
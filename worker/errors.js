@@ -0,0 +1,67 @@
+/**
+ * API Errors
+ *
+ * Every route reports failures with the same envelope:
+ *
+ *   { "success": false, "error": "<code>", "message": "...", "requestId": "..." }
+ *
+ * The code is machine-readable and decides the HTTP status; the message is
+ * for people and never contains internal exception text. worker.js adds the
+ * requestId, which is also sent as X-Request-Id on every response and
+ * written to the logs.
+ */
+
+/**
+ * Error codes and their HTTP statuses.
+ *
+ * NOTE: The codes are handled by name in app/apiErrors.js. Keep both in
+ * sync when adding a code.
+ */
+export const ERROR_STATUS = {
+    invalid_request: 400,
+    invalid_question: 400,
+    unanswerable: 400,
+    rejected: 400,
+    unauthorized: 401,
+    not_found: 404,
+    method_not_allowed: 405,
+    rate_limit_exceeded: 429,
+    internal_error: 500,
+    llm_invalid_response: 500,
+    llm_error: 502,
+    service_busy: 503,
+    llm_timeout: 504,
+};
+
+export const ERROR_CODES = Object.keys(ERROR_STATUS);
+
+/**
+ * Build a route handler result for an error.
+ *
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @returns {{result: Object, status: number}}
+ */
+export function errorResult(code, message) {
+    return {
+        result: {
+            success: false,
+            error: code,
+            message,
+        },
+        status: ERROR_STATUS[code],
+    };
+}
+
+/**
+ * 400 invalid_request for a failed Zod validation, naming the offending
+ * parameter, e.g. "limit: Number must be less than or equal to 500".
+ *
+ * @param {z.ZodError} error - Validation error
+ * @returns {{result: Object, status: number}}
+ */
+export function validationError(error) {
+    const [issue] = error.errors;
+    const where = issue.path.length > 0 ? `${issue.path.join(".")}: ` : "";
+    return errorResult("invalid_request", `${where}${issue.message}`);
+}
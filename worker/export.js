@@ -0,0 +1,92 @@
+/**
+ * Forecast Export
+ *
+ * CSV and NDJSON serialization for GET /v1/forecasts. Rows are read from D1
+ * one batch at a time as the client consumes the stream, so a long range is
+ * never held in memory at once.
+ */
+
+const CONTENT_TYPES = {
+    csv: "text/csv; charset=utf-8",
+    ndjson: "application/x-ndjson",
+};
+
+const FORMAT_BY_MEDIA_TYPE = {
+    "text/csv": "csv",
+    "application/x-ndjson": "ndjson",
+    "application/json": "json",
+};
+
+/**
+ * Pick a response format from the Accept header. The first listed type we
+ * can serve wins; anything else, including "*\/*", falls back to JSON.
+ *
+ * @param {Request} request - The incoming request
+ * @returns {string|undefined} - "json", "csv" or "ndjson", or undefined if no preference
+ */
+export function acceptedFormat(request) {
+    const accept = request.headers.get("Accept");
+    if (!accept) return undefined;
+
+    for (const entry of accept.split(",")) {
+        const [mediaType, ...params] = entry.split(";").map((part) => part.trim().toLowerCase());
+        if (params.some((param) => /^q=0(\.0*)?$/.test(param))) continue;
+        if (FORMAT_BY_MEDIA_TYPE[mediaType]) return FORMAT_BY_MEDIA_TYPE[mediaType];
+    }
+    return undefined;
+}
+
+// One CSV cell: empty for null, JSON for hazards/segments, quoted when needed.
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+/**
+ * Stream forecasts as CSV or NDJSON.
+ *
+ * @param {Function} nextPage - async () => {forecasts, nextCursor}; called for each
+ *   batch until nextCursor is null
+ * @param {string} format - "csv" or "ndjson"
+ * @param {string[]} columns - CSV columns, in order
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createExportStream(nextPage, format, columns) {
+    const encoder = new TextEncoder();
+    let started = false;
+
+    return new ReadableStream({
+        async pull(controller) {
+            let text = "";
+            if (!started && format === "csv") {
+                text += csvLine(columns);
+            }
+            started = true;
+
+            const { forecasts, nextCursor } = await nextPage();
+            for (const forecast of forecasts) {
+                text += format === "csv"
+                    ? csvLine(columns.map((column) => forecast[column]))
+                    : `${JSON.stringify(forecast)}\n`;
+            }
+            if (text) controller.enqueue(encoder.encode(text));
+
+            if (!nextCursor) controller.close();
+        },
+    });
+}
+
+/**
+ * Content type for a streamed export format.
+ *
+ * @param {string} format - "csv" or "ndjson"
+ * @returns {string}
+ */
+export function exportContentType(format) {
+    return CONTENT_TYPES[format];
+}
@@ -0,0 +1,416 @@
+/**
+ * Feed Parsing Module
+ *
+ * Fetches the Isle of Man government 5-day forecast RSS feed and converts
+ * its HTML-escaped description blobs into normalized forecast objects.
+ *
+ * Fetching and parsing are separate so archived feed bodies can be replayed
+ * through the current parser (see ingestion.js).
+ */
+
+import {XMLParser} from "fast-xml-parser";
+import {addDays, localDate, parseWrittenDate} from "./localTime.js";
+import {deriveForecastFields} from "./utils.js";
+import {FeedSectionSchema} from "./validation.js";
+
+/**
+ * Converts strings like "Today", "Tomorrow", or "Thursday, 13 February 2025"
+ * into an ISO date (YYYY-MM-DD) using the published_at as a reference.
+ * Relative days are counted from the Isle of Man date of publication, so a
+ * bulletin published at 00:30 BST is "today" on the local date, not the UTC one.
+ */
+function parseForecastDate(dateStr, published_at) {
+    console.log("Parsing forecast date:", dateStr, "with published_at:", published_at);
+    const lower = dateStr.toLowerCase().trim();
+    let isoDate;
+    if (lower === "today") {
+        isoDate = localDate(published_at);
+    } else if (lower === "tomorrow") {
+        isoDate = addDays(localDate(published_at), 1);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(lower)) {
+        isoDate = lower;
+    } else {
+        // Example: "Thursday, 13 February 2025"
+        isoDate = parseWrittenDate(dateStr);
+    }
+    if (!isoDate || isNaN(new Date(isoDate).getTime())) {
+        throw new Error("Invalid forecast date: " + dateStr);
+    }
+    console.log("Parsed date result:", isoDate);
+    return isoDate;
+}
+
+// Normalize an <h3> heading so cosmetic variants ("Rainfall (mm):",
+// "Wind  Speed ") map to the same FeedSectionSchema key.
+function normalizeHeading(heading) {
+    return heading.toLowerCase().replace(/\s+/g, " ").replace(/[\s:]+$/, "").trim();
+}
+
+/**
+ * Validates a section's fields against FeedSectionSchema and converts any
+ * mismatches into drift warnings:
+ * - unknown_heading: an <h3> the parser doesn't recognise
+ * - missing_section: an expected <h3> (or the description) is absent or empty
+ * - unparseable_value: a section whose text doesn't match the expected format
+ *
+ * @param {Object} data - Description and <h3> text keyed by normalized heading
+ * @param {string} header - The section's <h2> text, for context
+ * @returns {Array<{type: string, section: string, field: string, detail: string}>}
+ */
+function checkSectionDrift(data, header) {
+    const result = FeedSectionSchema.safeParse(data);
+    if (result.success) return [];
+
+    return result.error.issues.flatMap((issue) => {
+        if (issue.code === "unrecognized_keys") {
+            return issue.keys.map((key) => ({
+                type: "unknown_heading",
+                section: header,
+                field: key,
+                detail: `Unrecognised heading: ${key}`,
+            }));
+        }
+        const field = String(issue.path[0]);
+        const missing = data[field] === undefined || data[field] === "";
+        return [{
+            type: missing ? "missing_section" : "unparseable_value",
+            section: header,
+            field,
+            detail: missing ? `Missing section: ${field}` : `${issue.message}: ${data[field]}`,
+        }];
+    });
+}
+
+/**
+ * A helper to decode a few common HTML entities.
+ */
+function decodeHtmlEntities(text) {
+    return text
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&amp;/g, "&");
+}
+
+/**
+ * Parses a forecast section from the RSS feed description HTML.
+ *
+ * The Isle of Man government RSS feed contains HTML descriptions with
+ * weather data structured using h2, h3, and p tags.
+ *
+ * ## Expected HTML Structure
+ *
+ * ```html
+ * <h2>Today</h2>
+ * <p>General weather description for the day</p>
+ * <h3>Temperature</h3>
+ * <p>Min. air temperature 5°C and max. air temperature 10°C</p>
+ * <h3>Wind Speed</h3>
+ * <p>15</p>
+ * <h3>Wind Direction</h3>
+ * <p>SW</p>
+ * <h3>Visibility</h3>
+ * <p>Good</p>
+ * <h3>Rainfall (mm)</h3>
+ * <p>0-5</p>
+ * <h3>Comments</h3>
+ * <p>Optional additional notes</p>
+ * ```
+ *
+ * The h2 tag contains the date (can be "Today", "Tomorrow", or full date).
+ * Each h3/p pair contains a data field and its value. Headings are compared
+ * case-insensitively, ignoring a trailing colon.
+ *
+ * Sections are checked against FeedSectionSchema. Unknown headings, missing
+ * sections and unparseable values don't fail the section; they are pushed to
+ * driftWarnings so changes to the feed's HTML get noticed.
+ *
+ * @param {string} section - HTML section starting with <h2>
+ * @param {string} published_at - ISO timestamp when the forecast was published
+ * @param {Object[]} [driftWarnings] - Array that receives drift warnings for this section
+ * @returns {Object} - Parsed forecast object with normalized fields
+ * @throws {Error} - If the HTML structure is invalid
+ */
+export function parseForecastSection(section, published_at, driftWarnings = []) {
+    // Extract the forecast date from the <h2> header.
+    const h2Close = section.indexOf("</h2>");
+    if (h2Close === -1) {
+        throw new Error("No closing </h2> tag found in section: " + section);
+    }
+    // Remove the opening <h2> tag and trim.
+    const headerHtml = section.substring(0, h2Close).replace(/<h2>/i, "").trim();
+    const forecast_date = parseForecastDate(headerHtml, published_at);
+
+    // Look for a general description (the first <p> following the h2).
+    let description = "";
+    const afterH2 = section.substring(h2Close + 5).trim();
+    const descMatch = afterH2.match(/^<p>(.*?)<\/p>/);
+    if (descMatch) {
+        description = descMatch[1].trim();
+    }
+
+    // Build a dictionary from any h3/p pairs.
+    // This regex will match pairs like: <h3>Some Header</h3> followed by <p>Content</p>
+    const regex = /<h3>(.*?)<\/h3>\s*<p>(.*?)<\/p>/g;
+    let match;
+    const data = {};
+    while ((match = regex.exec(section)) !== null) {
+        const key = normalizeHeading(match[1]);
+        data[key] = match[2].trim();
+    }
+    driftWarnings.push(...checkSectionDrift({description, ...data}, headerHtml));
+
+    // Build the forecast object.
+    const forecast = {
+        published_at,
+        forecast_date,
+        description,
+        min_temp: null,
+        max_temp: null,
+        wind_speed: null,
+        wind_direction: null,
+        wind_details: "",
+        visibility: "",
+        visibility_code: null, // Denormalized: 'good', 'moderate', 'poor'
+        comments: null,
+        rainfall: null,
+        rainfall_min: null, // Denormalized: numeric min value
+        rainfall_max: null, // Denormalized: numeric max value
+    };
+
+    if (data["temperature"]) {
+        // Expect something like "Min. air temperature 2°C and max. air temperature 6°C"
+        const tempMatches = data["temperature"].match(/(-?\d+).*?(-?\d+)/);
+        if (tempMatches) {
+            forecast.min_temp = parseInt(tempMatches[1]);
+            forecast.max_temp = parseInt(tempMatches[2]);
+        }
+    }
+    if (data["wind speed"]) {
+        forecast.wind_speed = parseInt(data["wind speed"]);
+    }
+    if (data["wind direction"]) {
+        forecast.wind_direction = data["wind direction"];
+    }
+    // If there’s any additional wind information (e.g. if an h3 exists that mentions "wind" but isn’t exactly "wind speed" or "wind direction")
+    for (const key in data) {
+        if (key.includes("wind") && key !== "wind speed" && key !== "wind direction") {
+            forecast.wind_details = data[key];
+        }
+    }
+    if (data["visibility"]) {
+        forecast.visibility = data["visibility"];
+    }
+    if (data["comments"]) {
+        forecast.comments = data["comments"];
+    }
+
+    if (data["rainfall (mm)"]) {
+        forecast.rainfall = data["rainfall (mm)"];
+    }
+
+    // Fill in the denormalized columns from the raw text fields
+    return {...forecast, ...deriveForecastFields(forecast)};
+}
+
+// HTTP statuses worth retrying: timeouts, rate limiting and server errors.
+function isTransientStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+// An RSS body starts with an XML declaration or the <rss> element.
+function looksLikeXml(body) {
+    return /^\uFEFF?\s*<(\?xml|rss)\b/i.test(body);
+}
+
+/**
+ * Creates a classified feed fetch error.
+ *
+ * @param {string} kind - "timeout", "network", "http_status" or "not_xml"
+ * @param {string} message - Error message
+ * @param {Object} [details]
+ * @param {number|null} [details.status] - HTTP status, if a response was received
+ * @param {boolean} [details.retryable] - Whether another attempt may succeed
+ * @returns {Error}
+ */
+function feedFetchError(kind, message, {status = null, retryable = false} = {}) {
+    const error = new Error(message);
+    error.isFeedFetchError = true;
+    error.kind = kind;
+    error.status = status;
+    error.retryable = retryable;
+    return error;
+}
+
+// Make a single conditional request for the feed.
+async function requestFeed(url, validators, timeoutMs) {
+    const headers = {Accept: "application/rss+xml, application/xml;q=0.9, text/xml;q=0.8"};
+    if (validators.etag) headers["If-None-Match"] = validators.etag;
+    if (validators.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, {headers, signal: controller.signal});
+
+        if (response.status === 304) {
+            return {status: 304, notModified: true, body: null, validators};
+        }
+        if (!response.ok) {
+            throw feedFetchError("http_status", `Feed request failed with status ${response.status}`, {
+                status: response.status,
+                retryable: isTransientStatus(response.status),
+            });
+        }
+
+        const body = await response.text();
+        if (!looksLikeXml(body)) {
+            throw feedFetchError("not_xml", `Feed response is not XML: ${body.trim().substring(0, 100)}`, {
+                status: response.status,
+            });
+        }
+
+        return {
+            status: response.status,
+            notModified: false,
+            body,
+            validators: {
+                etag: response.headers.get("ETag"),
+                lastModified: response.headers.get("Last-Modified"),
+            },
+        };
+    } catch (error) {
+        if (error.isFeedFetchError) throw error;
+        if (error.name === "AbortError") {
+            throw feedFetchError("timeout", `Feed request timed out after ${timeoutMs}ms`, {retryable: true});
+        }
+        throw feedFetchError("network", `Feed request failed: ${error.message}`, {retryable: true});
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetches the raw RSS feed body with a conditional GET.
+ *
+ * Sends If-None-Match/If-Modified-Since from the validators of the previous
+ * fetch, so an unchanged feed comes back as a 304 with no body. Each attempt
+ * is bounded by a timeout; timeouts, network errors, 408, 429 and 5xx
+ * responses are retried with exponential backoff.
+ *
+ * @param {Object} feedConfig - Feed settings from getFeedConfig(env)
+ * @param {{etag?: string|null, lastModified?: string|null}} [validators] - Validators from the previous fetch
+ * @returns {Promise<{status: number, notModified: boolean, body: string|null, validators: Object}>}
+ *   The body is null when notModified; validators are the ones to send next time
+ * @throws {Error} - A classified error (isFeedFetchError, kind, status, retryable)
+ *   for non-2xx responses, non-XML bodies and failures that outlast the retries
+ */
+export async function fetchFeed(feedConfig, validators = {}) {
+    const {url, timeoutMs, maxRetries, retryDelayMs} = feedConfig;
+    for (let attempt = 0; ; attempt++) {
+        console.log(`Fetching RSS feed from: ${url} (attempt ${attempt + 1})`);
+        try {
+            const result = await requestFeed(url, validators, timeoutMs);
+            if (result.notModified) {
+                console.log("RSS feed not modified since the last fetch");
+            } else {
+                console.log("RSS feed fetched, content length:", result.body.length);
+            }
+            return result;
+        } catch (error) {
+            if (!error.retryable || attempt >= maxRetries) {
+                throw error;
+            }
+            const delay = retryDelayMs * 2 ** attempt;
+            console.log(`Feed fetch failed (${error.kind}: ${error.message}), retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Parses an RSS feed body using fast-xml-parser.
+ * The description field is first HTML-decoded and then split into sections
+ * based on <h2> tags.
+ *
+ * Sections that fail to parse are skipped and reported in failedSections
+ * rather than failing the whole feed. Feed drift found in the sections that
+ * did parse is collected in driftWarnings.
+ *
+ * @param {string} text - Raw RSS XML
+ * @returns {{forecasts: Object[], failedSections: Array<{header: string, error: string}>, driftWarnings: Object[]}}
+ * @throws {Error} - If the XML is not an RSS feed
+ */
+export function parseFeed(text) {
+    // Parse the XML with fast-xml-parser.
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: "",
+    });
+    const feed = parser.parse(text);
+
+    // Navigate the feed structure.
+    let items = [];
+    if (feed.rss && feed.rss.channel && feed.rss.channel.item) {
+        items = feed.rss.channel.item;
+        if (!Array.isArray(items)) {
+            items = [items];
+        }
+    } else {
+        throw new Error("Invalid RSS feed structure");
+    }
+
+    const forecasts = [];
+    const failedSections = [];
+    const driftWarnings = [];
+    for (const item of items) {
+        const published_at = item.pubDate
+            ? new Date(item.pubDate).toISOString()
+            : new Date().toISOString();
+        // Updated guid extraction:
+        const guid = item.guid
+            ? (typeof item.guid === "string"
+                ? item.guid.trim()
+                : item.guid["#text"]
+                    ? item.guid["#text"].trim()
+                    : "")
+            : "";
+        let description = item.description || "";
+        description = decodeHtmlEntities(description);
+
+        // Split the description into sections.
+        // Each section begins with an <h2> tag.
+        const sections = description.split(/<h2>/).slice(1).map((sec) => "<h2>" + sec);
+        if (sections.length === 0) {
+            driftWarnings.push({
+                type: "missing_section",
+                section: null,
+                field: "h2",
+                detail: `No <h2> forecast sections in item ${guid || "(no guid)"}`,
+            });
+        }
+        for (const section of sections) {
+            try {
+                const forecast = parseForecastSection(section, published_at, driftWarnings);
+                // Create a unique guid for each forecast item.
+                forecast.guid = `${guid}-${forecast.forecast_date}`;
+                forecasts.push(forecast);
+            } catch (e) {
+                console.error("Error parsing forecast section:", e);
+                const header = section.match(/<h2>(.*?)<\/h2>/i);
+                failedSections.push({
+                    header: header ? header[1].trim() : section.substring(0, 80),
+                    error: e.message,
+                });
+            }
+        }
+    }
+    console.log("Total forecasts parsed:", forecasts.length);
+    if (driftWarnings.length > 0) {
+        console.warn("Feed drift warnings:", driftWarnings);
+    }
+    return {forecasts, failedSections, driftWarnings};
+}
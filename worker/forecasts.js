@@ -0,0 +1,308 @@
+/**
+ * Forecast Resources
+ *
+ * Read handlers for the legacy GET / endpoint and the /v1/forecasts
+ * resources. The /v1 handlers return {result, status} like the other
+ * route handlers; "best" forecasts are picked with the same same-day
+ * preference as /ask (see buildLatestSameDayCTE).
+ */
+
+import { CONFIG } from "./config.js";
+import { errorResult, validationError } from "./errors.js";
+import { acceptedFormat, createExportStream, exportContentType } from "./export.js";
+import { hazardsJsonColumn, withHazards } from "./hazards.js";
+import { localToday } from "./localTime.js";
+import { buildLatestSameDayCTE } from "./queryBuilder.js";
+import { segmentsJsonColumn, withSegments } from "./segments.js";
+import {
+    FORECAST_FIELDS,
+    ForecastDateParamsSchema,
+    ForecastRangeQuerySchema,
+    LegacyForecastsQuerySchema,
+    NoQuerySchema,
+    parseQuery,
+} from "./validation.js";
+
+// Decode the hazards and segments JSON columns on each row.
+function decodeForecasts(results) {
+    return withSegments(withHazards(results || []));
+}
+
+// 404 response for a date with no stored forecasts.
+function noForecasts(date) {
+    return errorResult("not_found", `No forecasts found for ${date}.`);
+}
+
+// Validate the path parameters and (empty) query of a /v1/forecasts/{date} route.
+function parseDateRequest(url, params) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) return queryValidation;
+    return ForecastDateParamsSchema.safeParse(params);
+}
+
+/**
+ * Retrieve every stored publication for today onwards.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @returns {Promise<Object[]>}
+ */
+export async function getFutureForecasts(env) {
+    console.log("Getting future forecasts from database");
+    const query = `
+        select *, ${hazardsJsonColumn()}, ${segmentsJsonColumn()}
+        from forecast_items
+        where forecast_date >= ?
+        order by forecast_date asc, published_at desc
+    `;
+    const { results } = await env.DB.prepare(query).bind(localToday()).all();
+    console.log(`Retrieved ${results?.length || 0} future forecasts from database`);
+    return decodeForecasts(results);
+}
+
+/**
+ * Retrieve every stored publication for a date, newest first.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object[]>}
+ */
+export async function getDateForecasts(env, date) {
+    console.log(`Getting forecasts for date: ${date}`);
+    const query = `
+        select *, ${hazardsJsonColumn()}, ${segmentsJsonColumn()}
+        from forecast_items
+        where forecast_date = ?
+        order by published_at desc
+    `;
+    const { results } = await env.DB.prepare(query).bind(date).all();
+    console.log(`Retrieved ${results?.length || 0} forecasts for ${date}`);
+    return decodeForecasts(results);
+}
+
+/**
+ * GET / - the original endpoint used by the frontend: every publication from
+ * today onwards, or for one date with ?date=, as a bare array.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: Object[], status: number}>}
+ */
+export async function handleLegacyForecasts(request, env, url) {
+    const queryValidation = parseQuery(LegacyForecastsQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const { date } = queryValidation.data;
+    const result = date
+        ? await getDateForecasts(env, date)
+        : await getFutureForecasts(env);
+    return { result, status: 200 };
+}
+
+// Keys that order range results and identify a position in them.
+const CURSOR_KEYS = ["forecast_date", "published_at", "id"];
+
+// Fields selected through a JSON subquery rather than a column.
+const JSON_FIELDS = {
+    hazards: () => hazardsJsonColumn(),
+    segments: () => segmentsJsonColumn(),
+};
+
+// Encode the position after a row as an opaque cursor.
+function encodeCursor(row) {
+    const json = JSON.stringify(CURSOR_KEYS.map((key) => row[key]));
+    return btoa(json).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode a range cursor back into its keys.
+ *
+ * @param {string} cursor - nextCursor from a previous page
+ * @returns {{date: string, publishedAt: string, id: number}|null} - null if malformed
+ */
+export function decodeCursor(cursor) {
+    try {
+        const [date, publishedAt, id] = JSON.parse(atob(cursor.replace(/-/g, "+").replace(/_/g, "/")));
+        if (typeof date !== "string" || typeof publishedAt !== "string" || !Number.isInteger(id)) return null;
+        return { date, publishedAt, id };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Query forecasts between two dates, one page at a time.
+ *
+ * Results are ordered by forecast_date, then newest publication first, and
+ * paged by keyset on (forecast_date, published_at, id) so pages stay stable
+ * while new bulletins are ingested.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Object} options
+ * @param {string} options.from - First date, inclusive
+ * @param {string} options.to - Last date, inclusive
+ * @param {string} [options.revisions] - "best" for one forecast per day, "all" for every publication
+ * @param {string[]} [options.fields] - Fields to return (default: all)
+ * @param {number} options.limit - Page size
+ * @param {Object|null} [options.after] - Decoded cursor to continue after
+ * @returns {Promise<{forecasts: Object[], nextCursor: string|null}>}
+ */
+export async function queryForecastRange(env, { from, to, revisions = "best", fields, limit, after = null }) {
+    // The cursor keys are always selected, then dropped if not requested
+    const columns = [...new Set([...CURSOR_KEYS, ...(fields ?? FORECAST_FIELDS)])]
+        .map((field) => (JSON_FIELDS[field] ? JSON_FIELDS[field]() : field))
+        .join(", ");
+
+    const params = [from, to];
+    const source = revisions === "best"
+        ? `with ${buildLatestSameDayCTE("forecast_date >= ? and forecast_date <= ?")}
+        select ${columns}
+        from latest_same_day
+        where 1 = 1`
+        : `select ${columns}
+        from forecast_items
+        where forecast_date >= ? and forecast_date <= ?`;
+
+    let cursorClause = "";
+    if (after) {
+        cursorClause = `and (forecast_date > ?
+            or (forecast_date = ? and (published_at < ? or (published_at = ? and id < ?))))`;
+        params.push(after.date, after.date, after.publishedAt, after.publishedAt, after.id);
+    }
+
+    const query = `
+        ${source}
+        ${cursorClause}
+        order by forecast_date asc, published_at desc, id desc
+        limit ?
+    `;
+    params.push(limit + 1);
+
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+    const rows = results || [];
+    const page = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor(page[page.length - 1]) : null;
+
+    let forecasts = decodeForecasts(page);
+    if (fields) {
+        const returned = [...new Set(["forecast_date", "published_at", ...fields])];
+        forecasts = forecasts.map((row) => Object.fromEntries(returned.map((field) => [field, row[field]])));
+    }
+    return { forecasts, nextCursor };
+}
+
+// Stream a whole range as CSV or NDJSON, one batch of rows per read.
+function exportForecastRange(env, { from, to, revisions, fields, after, format }) {
+    let next = after;
+    const nextPage = async () => {
+        const page = await queryForecastRange(env, { from, to, revisions, fields, limit: CONFIG.api.exportBatchSize, after: next });
+        next = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+        return page;
+    };
+    const columns = fields ? [...new Set(["forecast_date", "published_at", ...fields])] : FORECAST_FIELDS;
+
+    return {
+        result: createExportStream(nextPage, format, columns),
+        status: 200,
+        contentType: exportContentType(format),
+        filename: `forecasts-${from}-to-${to}.${format}`,
+        streamed: true,
+    };
+}
+
+/**
+ * GET /v1/forecasts - forecasts for each day in a range, paged.
+ *
+ * Query parameters (see ForecastRangeQuerySchema): from, to, revisions
+ * ("best" per day or "all"), fields (comma-separated projection; forecast_date
+ * and published_at are always included), limit, cursor and format.
+ *
+ * With format csv or ndjson (from ?format= or the Accept header) the whole
+ * range is streamed instead, starting after cursor if given, and limit is
+ * ignored.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: Object, status: number}>}
+ */
+export async function handleForecastRange(request, env, url) {
+    const requestedFormat = url.searchParams.get("format") ?? acceptedFormat(request);
+    const queryValidation = parseQuery(ForecastRangeQuerySchema, url, { format: requestedFormat });
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const { from, to, revisions, fields, limit, cursor, format } = queryValidation.data;
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+        return errorResult("invalid_request", "cursor: Invalid cursor");
+    }
+
+    if (format !== "json") {
+        return exportForecastRange(env, { from, to, revisions, fields, after, format });
+    }
+
+    const { forecasts, nextCursor } = await queryForecastRange(env, { from, to, revisions, fields, limit, after });
+    return {
+        result: { success: true, from, to, revisions, forecasts, nextCursor },
+        status: 200,
+    };
+}
+
+/**
+ * GET /v1/forecasts/{date} - the best forecast for one day.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @param {Object} params - Path parameters ({date})
+ * @returns {Promise<{result: Object, status: number}>}
+ */
+export async function handleForecastForDate(request, env, url, params) {
+    const paramsValidation = parseDateRequest(url, params);
+    if (!paramsValidation.success) {
+        return validationError(paramsValidation.error);
+    }
+
+    const { date } = paramsValidation.data;
+    const { forecasts: [forecast] } = await queryForecastRange(env, { from: date, to: date, limit: 1 });
+    if (!forecast) {
+        return noForecasts(date);
+    }
+
+    return {
+        result: { success: true, forecast },
+        status: 200,
+    };
+}
+
+/**
+ * GET /v1/forecasts/{date}/revisions - every publication for one day,
+ * newest first.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @param {Object} params - Path parameters ({date})
+ * @returns {Promise<{result: Object, status: number}>}
+ */
+export async function handleForecastRevisions(request, env, url, params) {
+    const paramsValidation = parseDateRequest(url, params);
+    if (!paramsValidation.success) {
+        return validationError(paramsValidation.error);
+    }
+
+    const { date } = paramsValidation.data;
+    const revisions = await getDateForecasts(env, date);
+    if (revisions.length === 0) {
+        return noForecasts(date);
+    }
+
+    return {
+        result: { success: true, date, revisions },
+        status: 200,
+    };
+}
@@ -0,0 +1,81 @@
+/**
+ * Data Freshness
+ *
+ * Decides whether the stored forecasts are stale enough to fetch the feed
+ * again: when nothing is stored, when the latest publication is more than
+ * CONFIG.feed.refreshThresholdHours old, or when fewer than
+ * CONFIG.feed.expectedForecastDays dates from today onwards have a forecast.
+ * Forecast reads refresh in the background when it says so, and
+ * GET /admin/refresh-check shows the checks behind the answer.
+ */
+
+import { CONFIG } from "./config.js";
+import { localToday } from "./localTime.js";
+
+/**
+ * Run every staleness check.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @returns {Promise<Object>} - stale, the reasons it is stale (empty if not),
+ *   and the values each check compared
+ */
+export async function checkFreshness(env) {
+    const latest = await env.DB.prepare(`
+        select published_at
+        from forecast_items
+        order by published_at desc
+        limit 1
+    `).first();
+
+    const today = localToday();
+    const future = await env.DB.prepare(`
+        select count(distinct forecast_date) as count
+        from forecast_items
+        where forecast_date >= ?
+    `).bind(today).first();
+
+    const hoursSinceLastUpdate = latest
+        ? (Date.now() - new Date(latest.published_at)) / (1000 * 60 * 60)
+        : null;
+
+    const reasons = [];
+    if (!latest) {
+        reasons.push("no_forecasts");
+    } else if (hoursSinceLastUpdate > CONFIG.feed.refreshThresholdHours) {
+        reasons.push("publication_too_old");
+    }
+    if (latest && future.count < CONFIG.feed.expectedForecastDays) {
+        reasons.push("missing_future_dates");
+    }
+
+    return {
+        stale: reasons.length > 0,
+        reasons,
+        today,
+        latest_published_at: latest?.published_at ?? null,
+        hours_since_last_update: hoursSinceLastUpdate === null ? null : Math.round(hoursSinceLastUpdate * 10) / 10,
+        refresh_threshold_hours: CONFIG.feed.refreshThresholdHours,
+        future_dates: future.count,
+        expected_future_dates: CONFIG.feed.expectedForecastDays,
+    };
+}
+
+/**
+ * Determine whether new data should be fetched.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @returns {Promise<boolean>}
+ */
+export async function shouldFetchNewData(env) {
+    const { stale, reasons } = await checkFreshness(env);
+    if (reasons.includes("publication_too_old")) {
+        console.log(`Last update was more than ${CONFIG.feed.refreshThresholdHours} hours ago`);
+    }
+    if (reasons.includes("missing_future_dates")) {
+        console.log("Missing forecasts for some future dates");
+    }
+    if (!stale) {
+        console.log("Database is up to date");
+    }
+    return stale;
+}
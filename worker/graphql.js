@@ -0,0 +1,489 @@
+/**
+ * GraphQL Endpoint
+ *
+ * GET and POST /graphql expose the forecast, revision, climatology and
+ * recommendation reads as one schema, so a screen can fetch the nested data
+ * it needs in a single round trip. Resolvers call the same functions as the
+ * /v1 routes, so every query is still built by those modules with bound
+ * parameters, and arguments are checked with the same Zod schemas.
+ *
+ * Before a document runs, its depth and estimated cost are checked against
+ * CONFIG.graphql. Each field costs its @cost weight (1 for objects, 0 for
+ * scalars when not given), and the fields below a list are counted once per
+ * item: @listSize gives the expected item count, or the argument that sets
+ * it (clamped to 1..CONFIG.api.maxPageSize), and sizedField moves that count
+ * onto a child list, as for the forecasts page. Introspection fields are not counted.
+ *
+ * Requests that can't run at all (bad JSON, syntax or validation errors,
+ * limits exceeded) get the usual error envelope; errors from individual
+ * fields come back in the GraphQL errors array with the same codes in
+ * extensions.code.
+ */
+
+import {
+    buildSchema,
+    execute,
+    getArgumentValues,
+    getDirectiveValues,
+    getNamedType,
+    getNullableType,
+    getOperationAST,
+    getVariableValues,
+    GraphQLError,
+    isLeafType,
+    isListType,
+    Kind,
+    parse,
+    validate,
+} from "graphql";
+import { getRankedDays } from "./activities.js";
+import { getClimatology } from "./climatology.js";
+import { PRECIP_FLAGS } from "./conditions.js";
+import { CONFIG } from "./config.js";
+import { errorResult, validationError } from "./errors.js";
+import { decodeCursor, getDateForecasts, queryForecastRange } from "./forecasts.js";
+import {
+    ACTIVITIES,
+    CLIMATOLOGY_GROUPS,
+    ClimatologyQuerySchema,
+    ForecastDateParamsSchema,
+    ForecastRangeQuerySchema,
+    GraphQLRequestSchema,
+    parseQuery,
+    RecommendationsQuerySchema,
+} from "./validation.js";
+
+// Precipitation flags are stored as 0/1 and served as booleans
+const PRECIP_FIELDS = PRECIP_FLAGS.map((flag) => `${flag}: Boolean`).join("\n        ");
+
+// Fields that query D1 weigh 10; the others default as described above
+const schema = buildSchema(`
+    directive @cost(weight: Int!) on FIELD_DEFINITION
+    directive @listSize(assumedSize: Int, slicingArgument: String, sizedField: String) on FIELD_DEFINITION
+
+    type Query {
+        "Best forecast for a day, or null if there is none"
+        forecast(date: String!): Forecast @cost(weight: 10)
+        "Forecasts for each day in a range, paged like GET /v1/forecasts"
+        forecasts(from: String, to: String, revisions: Revisions = best, limit: Int, cursor: String): ForecastPage!
+            @cost(weight: 10) @listSize(assumedSize: ${CONFIG.api.defaultPageSize}, slicingArgument: "limit", sizedField: "forecasts")
+        "Every publication for a day, newest first"
+        revisions(date: String!): [Forecast!]! @cost(weight: 10) @listSize(assumedSize: 10)
+        "Monthly, seasonal or yearly statistics, as GET /v1/climatology"
+        climatology(group: ClimatologyGroup = month, from: String, to: String, across_years: Boolean = false): Climatology!
+            @cost(weight: 10)
+        "Days ranked for an activity, as GET /v1/recommendations"
+        recommendations(activity: Activity!, from: String, to: String): Recommendations! @cost(weight: 10)
+    }
+
+    enum Revisions {
+        "One forecast per day"
+        best
+        "Every publication"
+        all
+    }
+
+    enum ClimatologyGroup {
+        ${CLIMATOLOGY_GROUPS.join("\n        ")}
+    }
+
+    enum Activity {
+        ${ACTIVITIES.join("\n        ")}
+    }
+
+    type ForecastPage {
+        forecasts: [Forecast!]!
+        "Pass as cursor to get the next page; null on the last page"
+        nextCursor: String
+    }
+
+    type Forecast {
+        id: Int!
+        published_at: String!
+        forecast_date: String!
+        published_date: String
+        min_temp: Int
+        max_temp: Int
+        wind_speed: Int
+        wind_direction: String
+        description: String
+        wind_details: String
+        visibility: String
+        comments: String
+        guid: String!
+        created_at: String
+        rainfall: String
+        rainfall_min: Float
+        rainfall_max: Float
+        visibility_code: String
+        wind_speed_min: Int
+        wind_speed_max: Int
+        wind_gust_max: Int
+        wind_direction_initial: String
+        wind_direction_later: String
+        wind_trend: String
+        condition_code: String
+        ${PRECIP_FIELDS}
+        hazards: [Hazard!]! @listSize(assumedSize: 3)
+        segments: [Segment!]! @listSize(assumedSize: 4)
+        "Every publication for this forecast's day, newest first"
+        revisions: [Forecast!]! @cost(weight: 10) @listSize(assumedSize: 10)
+    }
+
+    type Hazard {
+        hazard: String!
+        severity: String!
+    }
+
+    type Segment {
+        period: String!
+        description: String
+        wind_details: String
+        visibility: String
+        condition_code: String
+        ${PRECIP_FIELDS}
+    }
+
+    type Climatology {
+        group: ClimatologyGroup!
+        across_years: Boolean!
+        from: String
+        to: String!
+        periods: [ClimatologyPeriod!]! @listSize(assumedSize: 24)
+    }
+
+    type ClimatologyPeriod {
+        period: String!
+        start_date: String!
+        end_date: String!
+        days: Int!
+        temperature: PeriodTemperature!
+        rainfall: PeriodRainfall!
+        wind: PeriodWind!
+        visibility: VisibilityDays!
+    }
+
+    type PeriodTemperature {
+        mean_min: Float
+        mean_max: Float
+        record_high: TemperatureRecord
+        record_low: TemperatureRecord
+    }
+
+    type TemperatureRecord {
+        value: Int!
+        date: String!
+    }
+
+    type PeriodRainfall {
+        rainy_days: Int!
+        dry_days: Int!
+        total: RainfallRange!
+        daily_mean: RainfallRange!
+    }
+
+    type RainfallRange {
+        min: Float
+        max: Float
+    }
+
+    type PeriodWind {
+        mean_speed: Float
+        mean_gust_max: Float
+    }
+
+    type VisibilityDays {
+        good: Int!
+        moderate: Int!
+        poor: Int!
+        unknown: Int!
+    }
+
+    type Recommendations {
+        activity: Activity!
+        label: String!
+        from: String!
+        to: String!
+        days: [RankedDay!]! @listSize(assumedSize: ${CONFIG.feed.expectedForecastDays})
+    }
+
+    type RankedDay {
+        forecast_date: String!
+        score: Int!
+        rating: String!
+        reasons: [ScoreReason!]! @listSize(assumedSize: 6)
+        forecast: Forecast!
+    }
+
+    type ScoreReason {
+        factor: String!
+        impact: Int!
+        detail: String!
+    }
+`);
+
+const COST = schema.getDirective("cost");
+const LIST_SIZE = schema.getDirective("listSize");
+
+// Field error carrying the code and message the REST routes would return.
+function fieldError({ result }) {
+    return new GraphQLError(result.message, { extensions: { code: result.error } });
+}
+
+// Validate field arguments with a /v1 query schema, leaving out those not given.
+function parseArgs(querySchema, args) {
+    const validation = querySchema.safeParse(
+        Object.fromEntries(Object.entries(args).filter(([, value]) => value != null))
+    );
+    if (!validation.success) {
+        throw fieldError(validationError(validation.error));
+    }
+    return validation.data;
+}
+
+// Every publication for a date, read once per request however often it's asked for.
+function loadRevisions(context, date) {
+    if (!context.revisions.has(date)) {
+        context.revisions.set(date, getDateForecasts(context.env, date));
+    }
+    return context.revisions.get(date);
+}
+
+const RESOLVERS = {
+    Query: {
+        async forecast(root, args, { env }) {
+            const { date } = parseArgs(ForecastDateParamsSchema, args);
+            const { forecasts: [forecast] } = await queryForecastRange(env, { from: date, to: date, limit: 1 });
+            return forecast ?? null;
+        },
+
+        forecasts(root, args, { env }) {
+            const { from, to, revisions, limit, cursor } = parseArgs(ForecastRangeQuerySchema, args);
+            const after = cursor ? decodeCursor(cursor) : null;
+            if (cursor && !after) {
+                throw fieldError(errorResult("invalid_request", "cursor: Invalid cursor"));
+            }
+            return queryForecastRange(env, { from, to, revisions, limit, after });
+        },
+
+        revisions(root, args, context) {
+            const { date } = parseArgs(ForecastDateParamsSchema, args);
+            return loadRevisions(context, date);
+        },
+
+        async climatology(root, { across_years, ...args }, { env }) {
+            const query = parseArgs(ClimatologyQuerySchema, { ...args, across_years: String(across_years) });
+            const periods = await getClimatology(env, query);
+            return { ...query, from: query.from ?? null, periods };
+        },
+
+        async recommendations(root, args, { env }) {
+            const { activity, from, to } = parseArgs(RecommendationsQuerySchema, args);
+            const ranked = await getRankedDays(env, activity, from, to);
+            return {
+                activity,
+                label: CONFIG.activities[activity].label,
+                from,
+                to,
+                days: ranked.map(({ forecast, score, rating, reasons }) => ({
+                    forecast_date: forecast.forecast_date,
+                    score,
+                    rating,
+                    reasons,
+                    forecast,
+                })),
+            };
+        },
+    },
+
+    Forecast: {
+        revisions(forecast, args, context) {
+            return loadRevisions(context, forecast.forecast_date);
+        },
+    },
+};
+
+for (const [typeName, resolvers] of Object.entries(RESOLVERS)) {
+    const fields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(resolvers)) {
+        fields[fieldName].resolve = resolve;
+    }
+}
+
+/**
+ * Depth and estimated cost of a selection set.
+ *
+ * @param {Object} selectionSet - Selection set AST node
+ * @param {GraphQLObjectType} parentType - Type the selections are made on
+ * @param {Object} state - {fragments, variables}: fragment definitions by name and coerced variables
+ * @param {number} depth - Depth of the fields in this selection set, from 1
+ * @param {Object} [sizedFields] - Item counts for child lists, set by the parent's @listSize sizedField
+ * @returns {{depth: number, cost: number}} - depth is that of the deepest field
+ */
+function measureSelections(selectionSet, parentType, state, depth, sizedFields = {}) {
+    let deepest = 0;
+    let cost = 0;
+
+    for (const selection of selectionSet.selections) {
+        if (selection.kind !== Kind.FIELD) {
+            // The schema has no interfaces or unions, so every fragment is on parentType
+            const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+                ? state.fragments[selection.name.value]
+                : selection;
+            const inner = measureSelections(fragment.selectionSet, parentType, state, depth, sizedFields);
+            deepest = Math.max(deepest, inner.depth);
+            cost += inner.cost;
+            continue;
+        }
+
+        const name = selection.name.value;
+        if (name.startsWith("__")) continue;
+
+        const field = parentType.getFields()[name];
+        const namedType = getNamedType(field.type);
+        const weight = getDirectiveValues(COST, field.astNode)?.weight ?? (isLeafType(namedType) ? 0 : 1);
+        const listSize = getDirectiveValues(LIST_SIZE, field.astNode);
+
+        let items = sizedFields[name] ?? 1;
+        let childSizes = {};
+        if (listSize) {
+            const args = listSize.slicingArgument ? getArgumentValues(field, selection, state.variables) : {};
+            // Clamped like the page size, so a zero, negative or oversized
+            // argument can't lower the cost below what the query can return
+            const size = Math.min(
+                Math.max(args[listSize.slicingArgument] ?? listSize.assumedSize, 1),
+                CONFIG.api.maxPageSize
+            );
+            if (listSize.sizedField) {
+                childSizes = { [listSize.sizedField]: size };
+            } else if (isListType(getNullableType(field.type))) {
+                items = size;
+            }
+        }
+
+        const inner = selection.selectionSet
+            ? measureSelections(selection.selectionSet, namedType, state, depth + 1, childSizes)
+            : { depth, cost: 0 };
+        deepest = Math.max(deepest, inner.depth);
+        cost += weight + items * inner.cost;
+    }
+
+    return { depth: deepest, cost };
+}
+
+// Replace unexpected resolver failures with a generic error; the details stay in the logs.
+function maskError(error) {
+    if (!error.originalError || error.originalError instanceof GraphQLError) {
+        return error;
+    }
+    console.error(`GraphQL field ${error.path?.join(".")} failed:`, error.originalError);
+    return new GraphQLError("Something went wrong. Please try again later.", {
+        nodes: error.nodes,
+        path: error.path,
+        extensions: { code: "internal_error" },
+    });
+}
+
+// Read {query, variables, operationName} from the query string or JSON body.
+async function readGraphQLRequest(request, url) {
+    if (request.method === "GET") {
+        const variables = url.searchParams.get("variables");
+        let decoded;
+        try {
+            decoded = variables ? JSON.parse(variables) : undefined;
+        } catch {
+            return { error: errorResult("invalid_request", "variables: Invalid JSON") };
+        }
+        return { validation: parseQuery(GraphQLRequestSchema, url, { variables: decoded }) };
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return { error: errorResult("invalid_request", "Invalid JSON body") };
+    }
+    return { validation: GraphQLRequestSchema.safeParse(body) };
+}
+
+// 400 listing every GraphQL error that stopped the request from running.
+function requestError(errors) {
+    return errorResult("invalid_request", errors.map((error) => error.message).join(" "));
+}
+
+/**
+ * GET and POST /graphql - run a GraphQL query.
+ *
+ * GET takes query, variables (as JSON) and operationName in the query string;
+ * POST takes the same fields as a JSON body (see GraphQLRequestSchema).
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: Object, status: number}>} - result is {data, errors} once the query runs
+ */
+export async function handleGraphQLRequest(request, env, url) {
+    const { error, validation } = await readGraphQLRequest(request, url);
+    if (error) {
+        return error;
+    }
+    if (!validation.success) {
+        return validationError(validation.error);
+    }
+
+    const { query, variables, operationName } = validation.data;
+    let document;
+    try {
+        document = parse(query);
+    } catch (syntaxError) {
+        return requestError([syntaxError]);
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+        return requestError(validationErrors);
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+        return errorResult("invalid_request", operationName
+            ? `operationName: No operation named "${operationName}"`
+            : "operationName: Required when the document has more than one operation");
+    }
+
+    const coerced = getVariableValues(schema, operation.variableDefinitions ?? [], variables ?? {});
+    if (coerced.errors) {
+        return requestError(coerced.errors);
+    }
+
+    const fragments = Object.fromEntries(
+        document.definitions
+            .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+            .map((definition) => [definition.name.value, definition])
+    );
+    const { depth, cost } = measureSelections(
+        operation.selectionSet,
+        schema.getQueryType(),
+        { fragments, variables: coerced.coerced },
+        1
+    );
+    if (depth > CONFIG.graphql.maxDepth) {
+        return errorResult("invalid_request", `Query depth ${depth} exceeds the limit of ${CONFIG.graphql.maxDepth}`);
+    }
+    if (cost > CONFIG.graphql.maxCost) {
+        return errorResult("invalid_request", `Query cost ${cost} exceeds the limit of ${CONFIG.graphql.maxCost}`);
+    }
+
+    const { data, errors } = await execute({
+        schema,
+        document,
+        operationName,
+        variableValues: variables,
+        contextValue: { env, revisions: new Map() },
+    });
+
+    return {
+        result: errors ? { data, errors: errors.map(maskError) } : { data },
+        status: 200,
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Hazard Classification Module
+ *
+ * Tags forecasts with normalized hazard codes extracted from the free-text
+ * comments (and visibility, where hill fog is usually reported). Hazards are
+ * stored one row per code in the forecast_hazards table.
+ */
+
+/**
+ * Hazard codes and the phrases that indicate them.
+ */
+const HAZARD_RULES = {
+    frost_ice: /\b(frost|frosty|ice|icy)\b/,
+    strong_wind: /\bstrong\b[^,.;]*\bwinds?\b|\bwindy\b/,
+    gale: /\bgales?\b|\bstorm force\b/,
+    snow: /\b(snow|sleet|blizzards?|wintry)\b/,
+    coastal_overtopping: /\bovertopping\b/,
+    hill_fog: /\bhill fog\b|\bfog\b[^,.;]*\b(hills?|high ground|higher ground)\b/,
+    thunder: /\b(thunder|thundery|thunderstorms?|lightning)\b/,
+    flooding: /\bflood(s|ing)?\b/,
+};
+
+export const HAZARD_CODES = Object.keys(HAZARD_RULES);
+
+export const HAZARD_SEVERITIES = ["low", "moderate", "high"];
+
+// Words that raise or lower the severity of a hazard within its clause.
+const HIGH_SEVERITY = /\b(severe|storm|significant|large|widespread|damaging|disruption)\b/;
+const LOW_SEVERITY = /\b(risk|chance|possible|possibly|may|might|slight|small|isolated|perhaps|minor|grass|ground)\b/;
+
+function clauseSeverity(clause) {
+    if (HIGH_SEVERITY.test(clause)) return "high";
+    if (LOW_SEVERITY.test(clause)) return "low";
+    return "moderate";
+}
+
+/**
+ * Classifies forecast text into hazard codes with a severity hint.
+ *
+ * Text is split into clauses so qualifiers only affect the hazard they
+ * describe: "Heavy rain, risk localised flooding" gives flooding/low.
+ * A hazard mentioned in several clauses keeps its highest severity.
+ *
+ * Severity is a hint, not a warning level:
+ * - high: "severe", "storm", "significant", "disruption", ...
+ * - low: "risk", "slight", "isolated", "grass frost", ...
+ * - moderate: anything else
+ *
+ * @param {...(string|null)} texts - Comments and other free-text fields
+ * @returns {Array<{hazard: string, severity: string}>} - One entry per hazard code
+ */
+export function classifyHazards(...texts) {
+    const found = new Map();
+    const clauses = texts
+        .filter((text) => typeof text === "string")
+        .flatMap((text) => text.toLowerCase().split(/[.;]|,\s/));
+
+    for (const clause of clauses) {
+        for (const [hazard, pattern] of Object.entries(HAZARD_RULES)) {
+            if (!pattern.test(clause)) continue;
+            const severity = clauseSeverity(clause);
+            const current = found.get(hazard);
+            if (!current || HAZARD_SEVERITIES.indexOf(severity) > HAZARD_SEVERITIES.indexOf(current)) {
+                found.set(hazard, severity);
+            }
+        }
+    }
+
+    return [...found].map(([hazard, severity]) => ({ hazard, severity }));
+}
+
+/**
+ * Classifies the hazards for a forecast row.
+ *
+ * @param {Object} forecast - Forecast with comments and visibility text
+ * @returns {Array<{hazard: string, severity: string}>}
+ */
+export function classifyForecastHazards(forecast) {
+    return classifyHazards(forecast.comments, forecast.visibility);
+}
+
+/**
+ * SQL expression returning a forecast's hazards as a JSON array.
+ * Select it alongside forecast_items columns and decode with withHazards().
+ *
+ * @param {string} idColumn - Column holding the forecast_items id
+ * @returns {string}
+ */
+export function hazardsJsonColumn(idColumn = "id") {
+    return `(
+        SELECT json_group_array(json_object('hazard', h.hazard, 'severity', h.severity))
+        FROM forecast_hazards h
+        WHERE h.forecast_id = ${idColumn}
+    ) AS hazards`;
+}
+
+/**
+ * Decodes the hazards JSON column on each row.
+ * Rows selected without it are returned unchanged.
+ *
+ * @param {Object[]} rows - Rows selected with hazardsJsonColumn()
+ * @returns {Object[]} - Rows with hazards as an array
+ */
+export function withHazards(rows) {
+    return rows.map((row) => {
+        if (!("hazards" in row)) return row;
+        return {
+            ...row,
+            hazards: row.hazards ? JSON.parse(row.hazards) : [],
+        };
+    });
+}
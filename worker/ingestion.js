@@ -0,0 +1,551 @@
+/**
+ * Ingestion Module
+ *
+ * Fetches the RSS feed, archives the raw body and reconciles the parsed
+ * forecasts against the forecast_items table. Also replays archived feeds
+ * and re-derives stored rows so parser improvements can be applied to
+ * historical data.
+ */
+
+import {CONFIG, getFeedConfig} from "./config.js";
+import {fetchFeed, parseFeed} from "./feed.js";
+import {classifyForecastHazards} from "./hazards.js";
+import {startIngestionRun, finishIngestionRun, getPreviousDriftWarnings} from "./ingestionLog.js";
+import {bumpDataVersion} from "./responseCache.js";
+import {SEGMENT_COLUMNS, segmentForecast} from "./segments.js";
+import {DERIVED_COLUMNS, deriveForecastFields} from "./utils.js";
+
+// D1 rejects statements with more than 100 bound parameters.
+const MAX_BOUND_PARAMETERS = 100;
+
+/**
+ * Columns written for each parsed forecast, in bind order.
+ * guid is the natural key; every other column is compared to decide
+ * whether an existing row needs updating.
+ */
+const FORECAST_COLUMNS = [
+    "published_at",
+    "forecast_date",
+    "min_temp",
+    "max_temp",
+    "wind_speed",
+    "wind_direction",
+    "description",
+    "wind_details",
+    "visibility",
+    "comments",
+    "guid",
+    "rainfall",
+    ...DERIVED_COLUMNS,
+];
+
+// Send an email notification.
+export async function sendNotification(message, env) {
+    console.log("Sending notification:", message);
+    try {
+        const response = await fetch("https://api.smtp2go.com/v3/email/send", {
+            method: "POST",
+            headers: {"Content-Type": "application/json"},
+            body: JSON.stringify({
+                api_key: env.SMTP2GO_API_KEY,
+                to: [env.NOTIFICATION_EMAIL_TO],
+                sender: env.NOTIFICATION_EMAIL_FROM,
+                subject: "IOM Weather Alert",
+                text_body: message,
+                html_body: `<p>${message}</p>`,
+            }),
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            console.error("SMTP2Go error:", error);
+        } else {
+            console.log("Notification sent successfully");
+        }
+    } catch (error) {
+        console.error("Failed to send notification:", error);
+    }
+}
+
+// Hex-encoded SHA-256 of a feed body, used to deduplicate the archive.
+async function hashFeedBody(body) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(body));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Stores a fetched feed body in feed_archive, once per distinct body.
+ * Refetching an identical body only bumps last_seen_at and fetch_count.
+ * Archiving is best-effort and never fails the ingestion.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {string} body - Raw RSS XML
+ * @returns {Promise<number|null>} - Archive row id, or null if archiving failed
+ */
+async function archiveFeedBody(env, body) {
+    try {
+        const contentHash = await hashFeedBody(body);
+        const now = new Date().toISOString();
+        const row = await env.DB.prepare(`
+            insert into feed_archive (content_hash, body, fetched_at, last_seen_at)
+            values (?, ?, ?, ?)
+            on conflict (content_hash) do update set
+                last_seen_at = excluded.last_seen_at,
+                fetch_count  = fetch_count + 1
+            returning id
+        `).bind(contentHash, body, now, now).first();
+        return row?.id ?? null;
+    } catch (error) {
+        console.error("Failed to archive feed body:", error);
+        return null;
+    }
+}
+
+/**
+ * Loads the HTTP validators remembered for a feed URL.
+ * Failures are logged and fall back to an unconditional fetch.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {string} url - Feed URL
+ * @returns {Promise<{etag: string|null, lastModified: string|null}>}
+ */
+async function getFeedValidators(env, url) {
+    try {
+        const row = await env.DB.prepare(`
+            select etag, last_modified
+            from feed_validators
+            where url = ?
+        `).bind(url).first();
+        return {etag: row?.etag ?? null, lastModified: row?.last_modified ?? null};
+    } catch (error) {
+        console.error("Failed to load feed validators:", error);
+        return {etag: null, lastModified: null};
+    }
+}
+
+/**
+ * Remembers the HTTP validators of a feed that was ingested successfully.
+ * Saving them only after a successful run means a body that failed to
+ * ingest is fetched again in full next time rather than answered with 304.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {string} url - Feed URL
+ * @param {{etag: string|null, lastModified: string|null}} validators - Validators from fetchFeed
+ */
+async function saveFeedValidators(env, url, validators) {
+    try {
+        await env.DB.prepare(`
+            insert into feed_validators (url, etag, last_modified, updated_at)
+            values (?, ?, ?, ?)
+            on conflict (url) do update set
+                etag          = excluded.etag,
+                last_modified = excluded.last_modified,
+                updated_at    = excluded.updated_at
+        `).bind(url, validators.etag ?? null, validators.lastModified ?? null, new Date().toISOString()).run();
+    } catch (error) {
+        console.error("Failed to save feed validators:", error);
+    }
+}
+
+// Fetch any stored rows that share a guid with the parsed forecasts.
+async function getExistingForecasts(env, guids) {
+    const existing = new Map();
+    for (let i = 0; i < guids.length; i += MAX_BOUND_PARAMETERS) {
+        const chunk = guids.slice(i, i + MAX_BOUND_PARAMETERS);
+        const placeholders = chunk.map(() => "?").join(", ");
+        const {results} = await env.DB.prepare(`
+            select ${FORECAST_COLUMNS.join(", ")}
+            from forecast_items
+            where guid in (${placeholders})
+        `).bind(...chunk).all();
+
+        for (const row of results || []) {
+            existing.set(row.guid, row);
+        }
+    }
+    return existing;
+}
+
+// Compare a stored row against a freshly parsed forecast.
+function hasForecastChanged(row, item) {
+    return FORECAST_COLUMNS.some((column) => (row[column] ?? null) !== (item[column] ?? null));
+}
+
+/**
+ * Upserts parsed forecasts into the D1 database.
+ *
+ * Each forecast is keyed by its guid, so a feed that reorders items,
+ * overlaps a previous fetch, or republishes a corrected bulletin with the same
+ * timestamp is reconciled row by row rather than accepted or rejected as a
+ * whole. Rows that already match are left untouched.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Object[]} items - Parsed forecasts
+ * @returns {Promise<{inserted: string[], updated: string[], skipped: string[]}>} - Guids in each outcome
+ */
+async function storeForecasts(env, items) {
+    const outcome = {inserted: [], updated: [], skipped: []};
+
+    // A guid repeated within one feed keeps its last occurrence.
+    const byGuid = new Map(items.map((item) => [item.guid, item]));
+    const existing = await getExistingForecasts(env, [...byGuid.keys()]);
+
+    const upserts = [];
+    for (const [guid, item] of byGuid) {
+        const row = existing.get(guid);
+        if (!row) {
+            outcome.inserted.push(guid);
+            upserts.push(item);
+        } else if (hasForecastChanged(row, item)) {
+            outcome.updated.push(guid);
+            upserts.push(item);
+        } else {
+            outcome.skipped.push(guid);
+        }
+    }
+
+    console.log("Reconciled forecasts against database:", {
+        inserted: outcome.inserted.length,
+        updated: outcome.updated.length,
+        skipped: outcome.skipped.length,
+    });
+
+    if (upserts.length === 0) {
+        console.log("No new data to process");
+        return outcome;
+    }
+
+    const updateColumns = FORECAST_COLUMNS.filter((column) => column !== "guid");
+    const stmt = env.DB.prepare(`
+        insert into forecast_items (${FORECAST_COLUMNS.join(", ")})
+        values (${FORECAST_COLUMNS.map(() => "?").join(", ")})
+        on conflict (guid) do update set
+            ${updateColumns.map((column) => `${column} = excluded.${column}`).join(",\n            ")}
+    `);
+
+    const batch = upserts.map((item) =>
+        stmt.bind(...FORECAST_COLUMNS.map((column) => item[column] ?? null))
+    );
+    batch.push(...hazardStatements(env, upserts));
+    batch.push(...segmentStatements(env, upserts));
+
+    console.log(`Writing ${upserts.length} forecasts`);
+    await env.DB.batch(batch);
+    console.log("Database upsert completed successfully");
+    await bumpDataVersion(env);
+    return outcome;
+}
+
+/**
+ * Builds statements that replace the forecast_hazards rows for each forecast.
+ * Rows are matched by guid so they can run in the same batch as the upsert.
+ */
+function hazardStatements(env, forecasts) {
+    const deleteStmt = env.DB.prepare(`
+        delete from forecast_hazards
+        where forecast_id = (select id from forecast_items where guid = ?)
+    `);
+    const insertStmt = env.DB.prepare(`
+        insert into forecast_hazards (forecast_id, hazard, severity)
+        select id, ?, ? from forecast_items where guid = ?
+    `);
+
+    const statements = [];
+    for (const forecast of forecasts) {
+        statements.push(deleteStmt.bind(forecast.guid));
+        for (const {hazard, severity} of classifyForecastHazards(forecast)) {
+            statements.push(insertStmt.bind(hazard, severity, forecast.guid));
+        }
+    }
+    return statements;
+}
+
+/**
+ * Builds statements that replace the forecast_segments rows for each forecast.
+ * Rows are matched by guid so they can run in the same batch as the upsert.
+ */
+function segmentStatements(env, forecasts) {
+    const deleteStmt = env.DB.prepare(`
+        delete from forecast_segments
+        where forecast_id = (select id from forecast_items where guid = ?)
+    `);
+    const insertStmt = env.DB.prepare(`
+        insert into forecast_segments (forecast_id, period, ${SEGMENT_COLUMNS.join(", ")})
+        select id, ?, ${SEGMENT_COLUMNS.map(() => "?").join(", ")} from forecast_items where guid = ?
+    `);
+
+    const statements = [];
+    for (const forecast of forecasts) {
+        statements.push(deleteStmt.bind(forecast.guid));
+        for (const segment of segmentForecast(forecast)) {
+            statements.push(insertStmt.bind(
+                segment.period,
+                ...SEGMENT_COLUMNS.map((column) => segment[column]),
+                forecast.guid
+            ));
+        }
+    }
+    return statements;
+}
+
+// Comparable key for a forecast's segments, stored or freshly derived.
+function segmentsKey(segments) {
+    return JSON.stringify(
+        segments
+            .map((segment) => [segment.period, ...SEGMENT_COLUMNS.map((column) => segment[column] ?? null)])
+            .sort((a, b) => a[0].localeCompare(b[0]))
+    );
+}
+
+/**
+ * Fetches the RSS feed, archives it and upserts the parsed forecasts.
+ *
+ * The fetch is conditional on the validators of the last ingested feed; a
+ * 304 is recorded as a successful run with nothing parsed. Every run is
+ * recorded in the ingestion_runs ledger with its trigger, along with any feed
+ * structure drift, which is also notified when it first appears.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {string} trigger - What started the run: "cron", "request" or "manual"
+ * @returns {Promise<{items: Object[], inserted: string[], updated: string[], skipped: string[]}>}
+ *   The parsed forecasts and the guids in each outcome
+ */
+export async function fetchAndStoreWeather(env, trigger) {
+    console.log("Starting fetchAndStoreWeather, trigger:", trigger);
+    const runId = await startIngestionRun(env, trigger);
+    let outcome = {items: [], inserted: [], updated: [], skipped: []};
+    let feedStatus = null;
+    let feed = null;
+    const feedConfig = getFeedConfig(env);
+    try {
+        const response = await fetchFeed(feedConfig, await getFeedValidators(env, feedConfig.url));
+        feedStatus = response.status;
+        if (response.notModified) {
+            await finishIngestionRun(env, runId, runDetails("succeeded", feedStatus, feed, outcome));
+            return outcome;
+        }
+
+        await archiveFeedBody(env, response.body);
+
+        feed = parseFeed(response.body);
+        const items = feed.forecasts;
+
+        if (items.length === 0) {
+            console.log("No items found in RSS feed");
+            await sendNotification("No items found in RSS feed", env);
+            await finishIngestionRun(env, runId, runDetails("succeeded", feedStatus, feed, outcome));
+            // A feed so changed that nothing parses is drift too
+            await notifyFeedDrift(env, runId, feed.driftWarnings);
+            return outcome;
+        }
+
+        outcome = {items, ...await storeForecasts(env, items)};
+        await saveFeedValidators(env, feedConfig.url, response.validators);
+        await finishIngestionRun(env, runId, runDetails("succeeded", feedStatus, feed, outcome));
+        await notifyFeedDrift(env, runId, feed.driftWarnings);
+        return outcome;
+    } catch (error) {
+        console.error("Error in fetchAndStoreWeather:", error);
+        feedStatus ??= error.status ?? null;
+        await finishIngestionRun(env, runId, {
+            ...runDetails("failed", feedStatus, feed, outcome),
+            error: error.isFeedFetchError ? `${error.kind}: ${error.message}` : error.message,
+        });
+        await sendNotification(`Failed to fetch/store weather: ${error.message}`, env);
+        throw error;
+    }
+}
+
+// Identifies a drift warning independently of the day it was found in.
+function driftSignature(warning) {
+    return `${warning.type}:${warning.field}`;
+}
+
+/**
+ * Sends a notification when the feed's structure has drifted, unless the
+ * previous successful run already reported the same kinds of drift.
+ *
+ * @param {Object} env - Environment bindings
+ * @param {number|null} runId - Id of the current run
+ * @param {Object[]} driftWarnings - Warnings from parseFeed
+ */
+async function notifyFeedDrift(env, runId, driftWarnings) {
+    if (driftWarnings.length === 0) return;
+
+    const previous = new Set((await getPreviousDriftWarnings(env, runId)).map(driftSignature));
+    if (driftWarnings.every((warning) => previous.has(driftSignature(warning)))) {
+        console.log("Feed drift unchanged since the previous run, not notifying");
+        return;
+    }
+
+    const lines = driftWarnings.map((warning) =>
+        warning.section ? `${warning.section}: ${warning.detail}` : warning.detail
+    );
+    const count = driftWarnings.length === 1 ? "1 warning" : `${driftWarnings.length} warnings`;
+    await sendNotification(`Feed structure drift detected (${count}):\n${lines.join("\n")}`, env);
+}
+
+// Summarise a run for the ingestion ledger.
+function runDetails(status, feedStatus, feed, outcome) {
+    return {
+        status,
+        feedStatus,
+        itemsParsed: feed ? feed.forecasts.length : null,
+        failedSections: feed?.failedSections || [],
+        driftWarnings: feed?.driftWarnings || [],
+        inserted: outcome.inserted.length,
+        updated: outcome.updated.length,
+        skipped: outcome.skipped.length,
+    };
+}
+
+/**
+ * Replays archived feed bodies through the current parser and upserts the
+ * result, oldest first, so parser fixes reach rows ingested before them.
+ * Work is paged by archive id to stay within Worker limits.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Object} [options]
+ * @param {number} [options.afterId] - Only replay archives with a greater id
+ * @param {number} [options.limit] - Maximum number of archives to replay
+ * @returns {Promise<Object>} - Counts per outcome and the cursor for the next page
+ */
+export async function reprocessArchivedFeeds(env, {afterId = 0, limit = CONFIG.reprocess.archivePageSize} = {}) {
+    const {results} = await env.DB.prepare(`
+        select id, body
+        from feed_archive
+        where id > ?
+        order by id asc
+        limit ?
+    `).bind(afterId, limit).all();
+    const archives = results || [];
+
+    const summary = {feeds: archives.length, failedFeeds: [], failedSections: 0, driftWarnings: 0, inserted: 0, updated: 0, skipped: 0};
+    for (const archive of archives) {
+        let feed;
+        try {
+            feed = parseFeed(archive.body);
+        } catch (error) {
+            summary.failedFeeds.push({id: archive.id, error: error.message});
+            continue;
+        }
+        summary.failedSections += feed.failedSections.length;
+        summary.driftWarnings += feed.driftWarnings.length;
+        const outcome = await storeForecasts(env, feed.forecasts);
+        summary.inserted += outcome.inserted.length;
+        summary.updated += outcome.updated.length;
+        summary.skipped += outcome.skipped.length;
+    }
+
+    summary.nextAfterId = archives.length === limit ? archives[archives.length - 1].id : null;
+    return summary;
+}
+
+/**
+ * Recomputes the denormalized columns, hazards and segments of stored rows
+ * from their raw text columns. Covers rows ingested before a feed archive
+ * existed, which cannot be replayed. Work is paged by row id to stay within
+ * Worker limits.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Object} [options]
+ * @param {number} [options.afterId] - Only process rows with a greater id
+ * @param {number} [options.limit] - Maximum number of rows to process
+ * @returns {Promise<{scanned: number, updated: number, nextAfterId: number|null}>}
+ */
+export async function rederiveStoredForecasts(env, {afterId = 0, limit = CONFIG.reprocess.rowPageSize} = {}) {
+    const {results} = await env.DB.prepare(`
+        select *
+        from forecast_items
+        where id > ?
+        order by id asc
+        limit ?
+    `).bind(afterId, limit).all();
+    const rows = results || [];
+    if (rows.length === 0) {
+        return {scanned: 0, updated: 0, nextAfterId: null};
+    }
+
+    // Current hazards for the page, keyed by forecast id
+    const {results: hazardRows} = await env.DB.prepare(`
+        select forecast_id, hazard, severity
+        from forecast_hazards
+        where forecast_id between ? and ?
+        order by hazard
+    `).bind(rows[0].id, rows[rows.length - 1].id).all();
+    const storedHazards = new Map();
+    for (const h of hazardRows || []) {
+        const list = storedHazards.get(h.forecast_id) || [];
+        list.push(`${h.hazard}:${h.severity}`);
+        storedHazards.set(h.forecast_id, list);
+    }
+
+    // Current segments for the page, keyed by forecast id
+    const {results: segmentRows} = await env.DB.prepare(`
+        select *
+        from forecast_segments
+        where forecast_id between ? and ?
+    `).bind(rows[0].id, rows[rows.length - 1].id).all();
+    const storedSegments = new Map();
+    for (const segment of segmentRows || []) {
+        const list = storedSegments.get(segment.forecast_id) || [];
+        list.push(segment);
+        storedSegments.set(segment.forecast_id, list);
+    }
+
+    const updateStmt = env.DB.prepare(`
+        update forecast_items
+        set ${DERIVED_COLUMNS.map((column) => `${column} = ?`).join(", ")}
+        where id = ?
+    `);
+    const deleteHazardsStmt = env.DB.prepare("delete from forecast_hazards where forecast_id = ?");
+    const insertHazardStmt = env.DB.prepare("insert into forecast_hazards (forecast_id, hazard, severity) values (?, ?, ?)");
+    const deleteSegmentsStmt = env.DB.prepare("delete from forecast_segments where forecast_id = ?");
+    const insertSegmentStmt = env.DB.prepare(`
+        insert into forecast_segments (forecast_id, period, ${SEGMENT_COLUMNS.join(", ")})
+        values (?, ?, ${SEGMENT_COLUMNS.map(() => "?").join(", ")})
+    `);
+
+    const batch = [];
+    let updated = 0;
+    for (const row of rows) {
+        const derived = deriveForecastFields(row);
+        const columnsChanged = DERIVED_COLUMNS.some((column) => (row[column] ?? null) !== (derived[column] ?? null));
+        if (columnsChanged) {
+            batch.push(updateStmt.bind(...DERIVED_COLUMNS.map((column) => derived[column] ?? null), row.id));
+        }
+
+        const hazards = classifyForecastHazards(row);
+        const hazardKey = hazards.map((h) => `${h.hazard}:${h.severity}`).sort().join(",");
+        const hazardsChanged = hazardKey !== (storedHazards.get(row.id) || []).sort().join(",");
+        if (hazardsChanged) {
+            batch.push(deleteHazardsStmt.bind(row.id));
+            for (const {hazard, severity} of hazards) {
+                batch.push(insertHazardStmt.bind(row.id, hazard, severity));
+            }
+        }
+
+        const segments = segmentForecast(row);
+        const segmentsChanged = segmentsKey(segments) !== segmentsKey(storedSegments.get(row.id) || []);
+        if (segmentsChanged) {
+            batch.push(deleteSegmentsStmt.bind(row.id));
+            for (const segment of segments) {
+                batch.push(insertSegmentStmt.bind(row.id, segment.period, ...SEGMENT_COLUMNS.map((column) => segment[column])));
+            }
+        }
+
+        if (columnsChanged || hazardsChanged || segmentsChanged) updated++;
+    }
+
+    if (batch.length > 0) {
+        console.log(`Re-deriving ${updated} stored forecasts`);
+        await env.DB.batch(batch);
+        await bumpDataVersion(env);
+    }
+
+    return {
+        scanned: rows.length,
+        updated,
+        nextAfterId: rows.length === limit ? rows[rows.length - 1].id : null,
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Ingestion Run Ledger
+ *
+ * Records every fetchAndStoreWeather run in the ingestion_runs table so the
+ * history of feed fetches can be inspected without digging through Workers
+ * logs. Writing to the ledger is best-effort: a failure here is logged but
+ * never aborts the ingestion it describes.
+ */
+
+import { CONFIG } from "./config.js";
+
+/**
+ * Valid values for ingestion_runs.trigger.
+ * - cron: the scheduled() handler
+ * - request: refresh triggered by a forecast request
+ * - manual: explicitly requested by an operator
+ */
+export const INGESTION_TRIGGERS = ["cron", "request", "manual"];
+
+/**
+ * Open a ledger entry for a new ingestion run.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {string} trigger - One of INGESTION_TRIGGERS
+ * @returns {Promise<number|null>} - The run id, or null if the ledger is unavailable
+ */
+export async function startIngestionRun(env, trigger) {
+    try {
+        const result = await env.DB.prepare(`
+            insert into ingestion_runs (trigger, status, started_at)
+            values (?, 'running', ?)
+        `).bind(trigger, new Date().toISOString()).run();
+        return result.meta?.last_row_id ?? null;
+    } catch (error) {
+        console.error("Failed to record ingestion run start:", error);
+        return null;
+    }
+}
+
+/**
+ * Close a ledger entry with the outcome of the run.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {number|null} runId - Id returned by startIngestionRun
+ * @param {Object} details - Run outcome
+ * @param {string} details.status - "succeeded" or "failed"
+ * @param {number|null} [details.feedStatus] - HTTP status of the feed response
+ * @param {number|null} [details.itemsParsed] - Number of forecasts parsed from the feed
+ * @param {Array<{header: string, error: string}>} [details.failedSections] - Sections parseForecastSection rejected
+ * @param {Array<{type: string, section: string|null, field: string, detail: string}>} [details.driftWarnings]
+ *   Feed structure drift found by parseFeed, stored in ingestion_drift_warnings
+ * @param {number} [details.inserted] - Rows inserted
+ * @param {number} [details.updated] - Rows updated
+ * @param {number} [details.skipped] - Rows left unchanged
+ * @param {string|null} [details.error] - Error message for failed runs
+ */
+export async function finishIngestionRun(env, runId, details) {
+    if (runId == null) return;
+    try {
+        const updateRun = env.DB.prepare(`
+            update ingestion_runs
+            set status          = ?,
+                finished_at     = ?,
+                feed_status     = ?,
+                items_parsed    = ?,
+                failed_sections = ?,
+                rows_inserted   = ?,
+                rows_updated    = ?,
+                rows_skipped    = ?,
+                error           = ?
+            where id = ?
+        `).bind(
+            details.status,
+            new Date().toISOString(),
+            details.feedStatus ?? null,
+            details.itemsParsed ?? null,
+            JSON.stringify(details.failedSections || []),
+            details.inserted ?? 0,
+            details.updated ?? 0,
+            details.skipped ?? 0,
+            details.error ?? null,
+            runId
+        );
+
+        const insertWarning = env.DB.prepare(`
+            insert into ingestion_drift_warnings (run_id, type, section, field, detail)
+            values (?, ?, ?, ?, ?)
+        `);
+        const warnings = (details.driftWarnings || []).map((warning) =>
+            insertWarning.bind(runId, warning.type, warning.section ?? null, warning.field, warning.detail)
+        );
+
+        await env.DB.batch([updateRun, ...warnings]);
+    } catch (error) {
+        console.error("Failed to record ingestion run result:", error);
+    }
+}
+
+/**
+ * List recent ingestion runs, newest first.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of runs to return
+ * @param {string} [options.trigger] - Only return runs with this trigger
+ * @returns {Promise<Object[]>} - Ledger rows with failed_sections and drift_warnings decoded
+ */
+export async function listIngestionRuns(env, { limit = CONFIG.admin.defaultHistoryLimit, trigger } = {}) {
+    const params = [];
+    let whereClause = "";
+    if (trigger) {
+        whereClause = "where trigger = ?";
+        params.push(trigger);
+    }
+    params.push(limit);
+
+    const { results } = await env.DB.prepare(`
+        select *, (
+            select json_group_array(json_object('type', w.type, 'section', w.section, 'field', w.field, 'detail', w.detail))
+            from ingestion_drift_warnings w
+            where w.run_id = ingestion_runs.id
+        ) as drift_warnings
+        from ingestion_runs
+        ${whereClause}
+        order by started_at desc, id desc
+        limit ?
+    `).bind(...params).all();
+
+    return (results || []).map((run) => ({
+        ...run,
+        failed_sections: run.failed_sections ? JSON.parse(run.failed_sections) : [],
+        drift_warnings: run.drift_warnings ? JSON.parse(run.drift_warnings) : [],
+    }));
+}
+
+/**
+ * Drift warnings recorded by the most recent successful run before runId,
+ * so drift that hasn't changed isn't notified on every fetch.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @param {number|null} runId - Id of the current run, or null to use the latest run
+ * @returns {Promise<Array<{type: string, field: string}>>} - The previous run's warnings, empty if none
+ */
+export async function getPreviousDriftWarnings(env, runId) {
+    try {
+        const {results} = await env.DB.prepare(`
+            select type, field
+            from ingestion_drift_warnings
+            where run_id = (
+                select id
+                from ingestion_runs
+                where status = 'succeeded' and id < ?
+                order by id desc
+                limit 1
+            )
+        `).bind(runId ?? Number.MAX_SAFE_INTEGER).all();
+        return results || [];
+    } catch (error) {
+        console.error("Failed to read previous drift warnings:", error);
+        return [];
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Isle of Man Local Time Module
+ *
+ * Forecast dates are Isle of Man calendar dates, so "today" flips at local
+ * midnight (23:00 UTC during British Summer Time), not at UTC midnight.
+ * Every "what day is it" decision in the worker goes through here instead of
+ * toISOString() or SQLite's date('now').
+ *
+ * Dates are passed around as YYYY-MM-DD strings. Day arithmetic is done on
+ * the calendar date alone, so it is unaffected by DST transitions.
+ *
+ * NOTE: This module is duplicated in app/localTime.js for the frontend.
+ * Keep both implementations in sync when making changes.
+ * worker/test/localTime.test.js runs the same cases against both.
+ */
+
+export const TIME_ZONE = "Europe/Isle_of_Man";
+
+const dateFormatter = new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+});
+
+const MONTHS = [
+    "january", "february", "march", "april", "may", "june",
+    "july", "august", "september", "october", "november", "december",
+];
+
+// Midday UTC on a calendar date, safe to shift by whole days.
+function toUTCNoon(dateStr) {
+    const [year, month, day] = dateStr.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day, 12));
+}
+
+function fromUTCNoon(date) {
+    return date.toISOString().split("T")[0];
+}
+
+/**
+ * The Isle of Man calendar date at an instant.
+ * Example: "2025-06-01T23:30:00Z" -> "2025-06-02" (00:30 BST)
+ *
+ * @param {Date|string|number} [instant] - Instant to convert (default: now)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function localDate(instant = new Date()) {
+    const date = instant instanceof Date ? instant : new Date(instant);
+    const parts = Object.fromEntries(dateFormatter.formatToParts(date).map((part) => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Today's Isle of Man calendar date.
+ *
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function localToday() {
+    return localDate(new Date());
+}
+
+/**
+ * Adds a number of days to a calendar date.
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function addDays(dateStr, days) {
+    const date = toUTCNoon(dateStr);
+    date.setUTCDate(date.getUTCDate() + days);
+    return fromUTCNoon(date);
+}
+
+/**
+ * Day of the week of a calendar date, 0 (Sunday) to 6 (Saturday).
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {number}
+ */
+export function dayOfWeek(dateStr) {
+    return toUTCNoon(dateStr).getUTCDay();
+}
+
+/**
+ * First day of the month containing a date, shifted by whole months.
+ * Example: startOfMonth("2025-03-15", -1) -> "2025-02-01"
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} [monthOffset] - Months to shift by (default: 0)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function startOfMonth(dateStr, monthOffset = 0) {
+    const date = toUTCNoon(dateStr);
+    return fromUTCNoon(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + monthOffset, 1, 12)));
+}
+
+/**
+ * Parses a written date such as "13 February 2025" or
+ * "Thursday, 13 February 2025" into a calendar date, without going through
+ * the runtime's time zone.
+ *
+ * @param {string} text - Date text containing day, month name and year
+ * @returns {string|null} - Date in YYYY-MM-DD format, or null if unparseable
+ */
+export function parseWrittenDate(text) {
+    const match = text.match(/(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\s+(\d{4})/i);
+    if (!match) return null;
+
+    const month = MONTHS.findIndex((name) => name.startsWith(match[2].toLowerCase()) && match[2].length >= 3);
+    if (month === -1) return null;
+
+    const day = Number(match[1]);
+    const dateStr = `${match[3]}-${String(month + 1).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+    // Reject dates like 31 February that roll over
+    return addDays(dateStr, 0) === dateStr ? dateStr : null;
+}
+
+/**
+ * Formats a calendar date for display, e.g. with { weekday: "long" }.
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export function formatLocalDate(dateStr, options) {
+    return toUTCNoon(dateStr).toLocaleDateString("en-GB", { ...options, timeZone: TIME_ZONE });
+}
@@ -0,0 +1,9 @@
+-- Structured wind columns parsed from wind_details.
+-- Apply to databases created before these columns existed, then backfill with
+-- POST /admin/reprocess?source=stored
+alter table forecast_items add column wind_speed_min INTEGER;
+alter table forecast_items add column wind_speed_max INTEGER;
+alter table forecast_items add column wind_gust_max INTEGER;
+alter table forecast_items add column wind_direction_initial TEXT;
+alter table forecast_items add column wind_direction_later TEXT;
+alter table forecast_items add column wind_trend TEXT;
@@ -0,0 +1,13 @@
+-- Hazard tags classified from comments/visibility.
+-- database.sql creates this table for new databases; it is repeated here so
+-- existing ones can be upgraded, then backfilled with
+-- POST /admin/reprocess?source=stored
+create table if not exists forecast_hazards
+(
+    forecast_id INTEGER not null references forecast_items (id) on delete cascade,
+    hazard      TEXT    not null,
+    severity    TEXT    not null,
+    primary key (forecast_id, hazard)
+);
+
+create index if not exists idx_forecast_hazards_hazard on forecast_hazards (hazard);
@@ -0,0 +1,12 @@
+-- WMO-style condition code and precipitation-type flags classified from description.
+-- Apply to databases created before these columns existed, then backfill with
+-- POST /admin/reprocess?source=stored
+alter table forecast_items add column condition_code INTEGER;
+alter table forecast_items add column precip_rain INTEGER;
+alter table forecast_items add column precip_drizzle INTEGER;
+alter table forecast_items add column precip_showers INTEGER;
+alter table forecast_items add column precip_snow INTEGER;
+alter table forecast_items add column precip_sleet INTEGER;
+alter table forecast_items add column precip_hail INTEGER;
+alter table forecast_items add column precip_fog INTEGER;
+alter table forecast_items add column precip_thunder INTEGER;
@@ -0,0 +1,22 @@
+-- Time-of-day segments of description, wind_details and visibility.
+-- database.sql creates this table for new databases; it is repeated here so
+-- existing ones can be upgraded, then backfilled with
+-- POST /admin/reprocess?source=stored
+create table if not exists forecast_segments
+(
+    forecast_id    INTEGER not null references forecast_items (id) on delete cascade,
+    period         TEXT    not null,
+    description    TEXT,
+    wind_details   TEXT,
+    visibility     TEXT,
+    condition_code INTEGER,
+    precip_rain    INTEGER,
+    precip_drizzle INTEGER,
+    precip_showers INTEGER,
+    precip_snow    INTEGER,
+    precip_sleet   INTEGER,
+    precip_hail    INTEGER,
+    precip_fog     INTEGER,
+    precip_thunder INTEGER,
+    primary key (forecast_id, period)
+);
@@ -0,0 +1,13 @@
+-- Feed structure drift warnings recorded per ingestion run.
+-- database.sql creates this table for new databases; it is repeated here so
+-- existing ones can be upgraded.
+create table if not exists ingestion_drift_warnings
+(
+    run_id  INTEGER not null references ingestion_runs (id) on delete cascade,
+    type    TEXT    not null,
+    section TEXT,
+    field   TEXT    not null,
+    detail  TEXT    not null
+);
+
+create index if not exists idx_ingestion_drift_warnings_run on ingestion_drift_warnings (run_id);
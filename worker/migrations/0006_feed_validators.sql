@@ -0,0 +1,10 @@
+-- HTTP validators for conditional fetches of the RSS feed.
+-- database.sql creates this table for new databases; it is repeated here so
+-- existing ones can be upgraded.
+create table if not exists feed_validators
+(
+    url           TEXT primary key,
+    etag          TEXT,
+    last_modified TEXT,
+    updated_at    TEXT not null
+);
@@ -0,0 +1,24 @@
+-- API keys for third-party consumers and their daily usage.
+-- database.sql creates these tables for new databases; they are repeated here
+-- so existing ones can be upgraded.
+create table if not exists api_keys
+(
+    id         INTEGER primary key AUTOINCREMENT,
+    name       TEXT    not null,
+    key_prefix TEXT    not null,
+    key_hash   TEXT    unique not null,
+    read_quota INTEGER not null,
+    ask_quota  INTEGER not null,
+    created_at TEXT    not null,
+    rotated_at TEXT,
+    revoked_at TEXT
+);
+
+create table if not exists api_key_usage
+(
+    key_id INTEGER not null references api_keys (id) on delete cascade,
+    day    TEXT    not null,
+    kind   TEXT    not null,
+    count  INTEGER not null,
+    primary key (key_id, day, kind)
+);
@@ -0,0 +1,18 @@
+-- Audit log of /admin requests.
+-- database.sql creates this table for new databases; it is repeated here so
+-- existing ones can be upgraded.
+create table if not exists admin_audit_log
+(
+    id     INTEGER primary key AUTOINCREMENT,
+    at     TEXT    not null,
+    method TEXT    not null,
+    path   TEXT    not null,
+    query  TEXT,
+    action TEXT,
+    params TEXT,
+    status INTEGER not null,
+    error  TEXT,
+    ip     TEXT
+);
+
+create index if not exists idx_admin_audit_log_at on admin_audit_log (at);
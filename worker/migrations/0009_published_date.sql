@@ -0,0 +1,4 @@
+-- Isle of Man calendar date of published_at, compared with forecast_date to
+-- find same-day forecasts. Apply to databases created before this column
+-- existed, then backfill with POST /admin/reprocess?source=stored
+alter table forecast_items add column published_date TEXT;
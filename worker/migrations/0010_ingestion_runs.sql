@@ -0,0 +1,21 @@
+-- Ledger of fetchAndStoreWeather runs (see ingestionLog.js).
+-- database.sql creates this table for new databases; it is repeated here so
+-- existing ones can be upgraded. Apply before relying on
+-- 0005_ingestion_drift_warnings.sql, whose rows reference it.
+create table if not exists ingestion_runs
+(
+    id              INTEGER primary key AUTOINCREMENT,
+    trigger         TEXT not null,
+    status          TEXT not null,
+    started_at      TEXT not null,
+    finished_at     TEXT,
+    feed_status     INTEGER,
+    items_parsed    INTEGER,
+    failed_sections TEXT,
+    rows_inserted   INTEGER default 0,
+    rows_updated    INTEGER default 0,
+    rows_skipped    INTEGER default 0,
+    error           TEXT
+);
+
+create index if not exists idx_ingestion_runs_started on ingestion_runs (started_at);
@@ -0,0 +1,13 @@
+-- Raw RSS feed bodies, one row per distinct body (see ingestion.js).
+-- database.sql creates this table for new databases; it is repeated here so
+-- existing ones can be upgraded. The unique constraint on content_hash (the
+-- SHA-256 of the body) is the index archiving looks bodies up by.
+create table if not exists feed_archive
+(
+    id           INTEGER primary key AUTOINCREMENT,
+    content_hash TEXT unique not null,
+    body         TEXT        not null,
+    fetched_at   TEXT        not null,
+    last_seen_at TEXT        not null,
+    fetch_count  INTEGER default 1
+);
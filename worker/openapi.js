@@ -0,0 +1,927 @@
+/**
+ * OpenAPI Document
+ *
+ * Builds the OpenAPI 3.1 description of the public API from the same Zod
+ * schemas the handlers validate with, plus Zod definitions of the response
+ * bodies, and serves it at GET /openapi.json. Adding a field to a schema in
+ * validation.js is enough to document it.
+ */
+
+import { z } from "zod";
+import { CONFIG } from "./config.js";
+import { HAZARD_CODES, HAZARD_SEVERITIES } from "./hazards.js";
+import { INGESTION_TRIGGERS } from "./ingestionLog.js";
+import { DAY_PERIODS, SEGMENT_COLUMNS } from "./segments.js";
+import { ERROR_CODES, validationError } from "./errors.js";
+import { DERIVED_COLUMNS } from "./utils.js";
+import {
+    ACTIVITIES,
+    AdminAuditQuerySchema,
+    ApiKeyCreateSchema,
+    ApiKeyParamsSchema,
+    ApiKeyUpdateSchema,
+    ApiKeyUsageQuerySchema,
+    CalendarQuerySchema,
+    CLIMATOLOGY_GROUPS,
+    ClimatologyQuerySchema,
+    FORECAST_FIELDS,
+    ForecastDateParamsSchema,
+    ForecastRangeQuerySchema,
+    GraphQLRequestSchema,
+    IngestionHistoryQuerySchema,
+    LegacyForecastsQuerySchema,
+    NoQuerySchema,
+    parseQuery,
+    QUERY_TYPES,
+    QueryIntentSchema,
+    QuestionInputSchema,
+    RateLimitListQuerySchema,
+    RateLimitParamsSchema,
+    RecommendationsQuerySchema,
+    ReprocessQuerySchema,
+    WidgetQuerySchema,
+} from "./validation.js";
+
+const API_VERSION = "1.0.0";
+
+/**
+ * Converts a Zod schema to a JSON Schema (draft 2020-12, as used by
+ * OpenAPI 3.1). Refinements can't be expressed and are left out; for
+ * transforms and pipelines the accepted input is described.
+ *
+ * @param {z.ZodTypeAny} schema - Zod schema
+ * @returns {Object} - JSON Schema
+ */
+export function toJsonSchema(schema) {
+    const def = schema._def;
+    const out = convert(schema);
+    if (def.description) out.description = def.description;
+    return out;
+}
+
+function convert(schema) {
+    const def = schema._def;
+    switch (def.typeName) {
+        case "ZodString": {
+            const out = { type: "string" };
+            for (const check of def.checks) {
+                if (check.kind === "min") out.minLength = check.value;
+                if (check.kind === "max") out.maxLength = check.value;
+                if (check.kind === "regex") out.pattern = check.regex.source;
+                if (check.kind === "datetime") out.format = "date-time";
+            }
+            return out;
+        }
+        case "ZodNumber": {
+            const out = { type: def.checks.some((check) => check.kind === "int") ? "integer" : "number" };
+            for (const check of def.checks) {
+                if (check.kind === "min") out[check.inclusive ? "minimum" : "exclusiveMinimum"] = check.value;
+                if (check.kind === "max") out[check.inclusive ? "maximum" : "exclusiveMaximum"] = check.value;
+            }
+            return out;
+        }
+        case "ZodBoolean":
+            return { type: "boolean" };
+        case "ZodNull":
+            return { type: "null" };
+        case "ZodLiteral":
+            return { const: def.value };
+        case "ZodEnum":
+            return { type: "string", enum: [...def.values] };
+        case "ZodArray": {
+            const out = { type: "array", items: toJsonSchema(def.type) };
+            if (def.minLength) out.minItems = def.minLength.value;
+            if (def.maxLength) out.maxItems = def.maxLength.value;
+            return out;
+        }
+        case "ZodTuple":
+            return {
+                type: "array",
+                prefixItems: def.items.map(toJsonSchema),
+                minItems: def.items.length,
+                maxItems: def.items.length,
+            };
+        case "ZodObject": {
+            const shape = def.shape();
+            const out = {
+                type: "object",
+                properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, toJsonSchema(value)])),
+            };
+            const required = Object.keys(shape).filter((key) => !shape[key].isOptional());
+            if (required.length > 0) out.required = required;
+            if (def.unknownKeys === "strict") out.additionalProperties = false;
+            return out;
+        }
+        case "ZodRecord":
+            return { type: "object", additionalProperties: toJsonSchema(def.valueType) };
+        case "ZodUnion":
+            return { anyOf: def.options.map(toJsonSchema) };
+        case "ZodOptional":
+            return toJsonSchema(def.innerType);
+        case "ZodNullable": {
+            const inner = toJsonSchema(def.innerType);
+            if (typeof inner.type === "string") return { ...inner, type: [inner.type, "null"] };
+            return { anyOf: [inner, { type: "null" }] };
+        }
+        case "ZodDefault":
+            return { ...toJsonSchema(def.innerType), default: def.defaultValue() };
+        case "ZodEffects":
+            return toJsonSchema(def.schema);
+        case "ZodPipeline":
+            return toJsonSchema(def.in);
+        default:
+            return {};
+    }
+}
+
+// The object schema underneath any refinements or transforms.
+function unwrapObject(schema) {
+    let current = schema;
+    while (current._def.typeName === "ZodEffects") {
+        current = current._def.schema;
+    }
+    return current;
+}
+
+// OpenAPI parameters for each key of a query or path schema.
+function parameters(schema, location) {
+    const shape = unwrapObject(schema)._def.shape();
+    return Object.entries(shape).map(([name, value]) => {
+        const jsonSchema = toJsonSchema(value);
+        const { description, ...rest } = jsonSchema;
+        return {
+            name,
+            in: location,
+            required: location === "path" || !value.isOptional(),
+            ...(description ? { description } : {}),
+            schema: rest,
+        };
+    });
+}
+
+// Response definitions
+
+const nullableText = z.string().nullable();
+const nullableInteger = z.number().int().nullable();
+
+const HazardSchema = z.object({
+    hazard: z.enum(HAZARD_CODES),
+    severity: z.enum(HAZARD_SEVERITIES),
+});
+
+const SegmentSchema = z.object({
+    period: z.enum(DAY_PERIODS),
+    ...Object.fromEntries(
+        SEGMENT_COLUMNS.map((column) => [column, column === "condition_code" || column.startsWith("precip_") ? nullableInteger : nullableText])
+    ),
+});
+
+// Types of the forecast_items columns (see database.sql)
+const FORECAST_COLUMN_TYPES = {
+    id: z.number().int(),
+    published_at: z.string().datetime().describe("When the bulletin was published (UTC)"),
+    forecast_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).describe("Isle of Man calendar date the forecast is for"),
+    published_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).nullable().describe("Isle of Man calendar date of published_at"),
+    min_temp: nullableInteger,
+    max_temp: nullableInteger,
+    wind_speed: nullableInteger,
+    wind_direction: nullableText,
+    description: nullableText,
+    wind_details: nullableText,
+    visibility: nullableText,
+    comments: nullableText,
+    guid: z.string().describe("Feed item identifier, unique per publication and day"),
+    created_at: z.string(),
+    rainfall: nullableText,
+    rainfall_min: z.number().nullable(),
+    rainfall_max: z.number().nullable(),
+    visibility_code: z.enum(["good", "moderate", "poor"]).nullable(),
+    wind_speed_min: nullableInteger,
+    wind_speed_max: nullableInteger,
+    wind_gust_max: nullableInteger,
+    wind_direction_initial: nullableText,
+    wind_direction_later: nullableText,
+    wind_trend: z.enum(["backing", "veering", "mixed"]).nullable(),
+    condition_code: nullableInteger.describe("WMO weather interpretation code"),
+    hazards: z.array(HazardSchema),
+    segments: z.array(SegmentSchema),
+};
+
+const ForecastSchema = z.object(
+    Object.fromEntries(
+        FORECAST_FIELDS.map((field) => [
+            field,
+            FORECAST_COLUMN_TYPES[field] ?? (DERIVED_COLUMNS.includes(field) ? nullableInteger.describe("1 if mentioned, else 0") : nullableText),
+        ])
+    )
+);
+
+const ErrorSchema = z.object({
+    success: z.literal(false),
+    error: z.enum(ERROR_CODES).describe("Machine-readable error code; see the README for its HTTP status"),
+    message: z.string().describe("Human-readable message"),
+    requestId: z.string().describe("Also sent as X-Request-Id; quote it when reporting a problem"),
+});
+
+const ForecastPageSchema = z.object({
+    success: z.literal(true),
+    from: z.string(),
+    to: z.string(),
+    revisions: z.enum(["best", "all"]),
+    forecasts: z.array(ForecastSchema.partial()).describe("Only the requested fields when fields= is given"),
+    nextCursor: z.string().nullable(),
+});
+
+const nullableNumber = z.number().nullable();
+
+const RecordSchema = z.object({ value: z.number().int(), date: z.string() }).nullable();
+
+const RangeSchema = z.object({ min: nullableNumber, max: nullableNumber });
+
+const ClimatologyPeriodSchema = z.object({
+    period: z.string().describe('e.g. "2025-01", "2025-winter" or "2025"; "01" or "winter" with across_years'),
+    start_date: z.string(),
+    end_date: z.string(),
+    days: z.number().int(),
+    temperature: z.object({
+        mean_min: nullableNumber,
+        mean_max: nullableNumber,
+        record_high: RecordSchema.describe("Highest max_temp; the latest day on a tie"),
+        record_low: RecordSchema.describe("Lowest min_temp; the latest day on a tie"),
+    }),
+    rainfall: z.object({
+        rainy_days: z.number().int().describe("Days with rainfall other than \"0\", as /ask counts them"),
+        dry_days: z.number().int().describe("Days with rainfall \"0\""),
+        total: RangeSchema.describe("Sum of rainfall_min and rainfall_max, mm"),
+        daily_mean: RangeSchema.describe("Mean of rainfall_min and rainfall_max, mm"),
+    }),
+    wind: z.object({ mean_speed: nullableNumber, mean_gust_max: nullableNumber }),
+    visibility: z.object({
+        good: z.number().int(),
+        moderate: z.number().int(),
+        poor: z.number().int(),
+        unknown: z.number().int(),
+    }).describe("Days per visibility_code"),
+});
+
+const ClimatologySchema = z.object({
+    success: z.literal(true),
+    group: z.enum(CLIMATOLOGY_GROUPS),
+    across_years: z.boolean(),
+    from: nullableText,
+    to: z.string(),
+    periods: z.array(ClimatologyPeriodSchema),
+});
+
+const RecommendationsSchema = z.object({
+    success: z.literal(true),
+    activity: z.enum(ACTIVITIES),
+    label: z.string(),
+    from: z.string(),
+    to: z.string(),
+    days: z.array(
+        z.object({
+            forecast_date: z.string(),
+            score: z.number().int().describe("0-100"),
+            rating: z.enum(["good", "fair", "poor"]),
+            reasons: z.array(
+                z.object({
+                    factor: z.enum(["temperature", "wind", "gusts", "rain", "visibility", "hazard"]),
+                    impact: z.number().int().describe("Points this factor cost the day; 0 if none"),
+                    detail: z.string(),
+                })
+            ),
+            forecast: ForecastSchema,
+        })
+    ).describe("Best first; equal scores keep the earlier day first"),
+});
+
+const CitationSchema = z.object({
+    forecast_date: z.string(),
+    published_at: z.string(),
+    description: nullableText,
+    min_temp: z.number().int().optional(),
+    max_temp: z.number().int().optional(),
+});
+
+const AskResponseSchema = z.object({
+    success: z.literal(true),
+    answer: z.string(),
+    citations: z.array(CitationSchema),
+    query_type: z.enum(QUERY_TYPES),
+});
+
+const IngestionRunSchema = z.object({
+    id: z.number().int(),
+    trigger: z.enum(INGESTION_TRIGGERS),
+    status: z.enum(["running", "succeeded", "failed"]),
+    started_at: z.string(),
+    finished_at: nullableText,
+    feed_status: nullableInteger,
+    items_parsed: nullableInteger,
+    failed_sections: z.array(z.object({ header: z.string(), error: z.string() })),
+    drift_warnings: z.array(
+        z.object({
+            type: z.enum(["unknown_heading", "missing_section", "unparseable_value"]),
+            section: nullableText,
+            field: z.string(),
+            detail: z.string(),
+        })
+    ),
+    rows_inserted: z.number().int(),
+    rows_updated: z.number().int(),
+    rows_skipped: z.number().int(),
+    error: nullableText,
+});
+
+const ApiKeySchema = z.object({
+    id: z.number().int(),
+    name: z.string(),
+    prefix: z.string().describe("Start of the key, to tell keys apart"),
+    read_quota: z.number().int(),
+    ask_quota: z.number().int(),
+    created_at: z.string(),
+    rotated_at: nullableText,
+    revoked_at: nullableText,
+    usage_today: z.object({ read: z.number().int(), ask: z.number().int() }),
+});
+
+const ApiKeyDetailSchema = ApiKeySchema.extend({
+    usage: z.array(z.object({ day: z.string(), read: z.number().int(), ask: z.number().int() }))
+        .describe("Requests per day, oldest first; days without requests are left out"),
+});
+
+const IssuedApiKeySchema = z.object({
+    success: z.literal(true),
+    key: ApiKeySchema,
+    api_key: z.string().describe("The key itself; it can't be retrieved again"),
+});
+
+const FreshnessSchema = z.object({
+    success: z.literal(true),
+    stale: z.boolean().describe("Whether the next forecast read would refresh in the background"),
+    reasons: z.array(z.enum(["no_forecasts", "publication_too_old", "missing_future_dates"])),
+    today: z.string(),
+    latest_published_at: nullableText,
+    hours_since_last_update: z.number().nullable(),
+    refresh_threshold_hours: z.number(),
+    future_dates: z.number().int().describe("Dates from today onwards with a forecast"),
+    expected_future_dates: z.number().int(),
+});
+
+const RateLimitSchema = z.object({
+    ip: z.string(),
+    count: z.number().int().describe("Questions asked in the current window"),
+    remaining: z.number().int(),
+    limited: z.boolean(),
+    window_start: z.string(),
+    resets_at: z.string(),
+});
+
+const AdminAuditEntrySchema = z.object({
+    id: z.number().int(),
+    at: z.string(),
+    method: z.string(),
+    path: z.string(),
+    query: nullableText,
+    action: nullableText.describe("The matched route, e.g. \"DELETE /admin/rate-limits/:ip\"; null if the token was wrong or no route matched"),
+    params: z.record(z.string()),
+    status: z.number().int(),
+    error: nullableText,
+    ip: nullableText,
+});
+
+const GraphQLResponseSchema = z.object({
+    data: z.record(z.unknown()).nullable().describe("null if a non-null root field failed"),
+    errors: z
+        .array(
+            z.object({
+                message: z.string(),
+                locations: z.array(z.object({ line: z.number().int(), column: z.number().int() })).optional(),
+                path: z.array(z.union([z.string(), z.number().int()])).optional(),
+                extensions: z.object({ code: z.enum(ERROR_CODES) }).optional(),
+            })
+        )
+        .optional()
+        .describe("Errors from individual fields, whose values are null in data"),
+});
+
+const COMPONENTS = {
+    Forecast: ForecastSchema,
+    Hazard: HazardSchema,
+    Segment: SegmentSchema,
+    Error: ErrorSchema,
+    ForecastPage: ForecastPageSchema,
+    Climatology: ClimatologySchema,
+    Recommendations: RecommendationsSchema,
+    QuestionInput: QuestionInputSchema,
+    QueryIntent: QueryIntentSchema,
+    AskResponse: AskResponseSchema,
+    GraphQLRequest: GraphQLRequestSchema,
+    GraphQLResponse: GraphQLResponseSchema,
+    IngestionRun: IngestionRunSchema,
+    ApiKey: ApiKeySchema,
+    ApiKeyDetail: ApiKeyDetailSchema,
+    IssuedApiKey: IssuedApiKeySchema,
+    ApiKeyCreate: ApiKeyCreateSchema,
+    ApiKeyUpdate: ApiKeyUpdateSchema,
+    Freshness: FreshnessSchema,
+    RateLimit: RateLimitSchema,
+    AdminAuditEntry: AdminAuditEntrySchema,
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function jsonResponse(description, schema) {
+    return { description, content: { "application/json": { schema } } };
+}
+
+const errorResponse = (description) => jsonResponse(description, ref("Error"));
+
+function buildDocument() {
+    const dateParams = parameters(ForecastDateParamsSchema, "path");
+    const adminSecurity = [{ adminToken: [] }];
+    const keyParams = parameters(ApiKeyParamsSchema, "path");
+    const ipParams = parameters(RateLimitParamsSchema, "path");
+    const rateLimitResult = (name) => ({
+        type: "object",
+        properties: { success: { const: true }, [name]: ref("RateLimit") },
+        required: ["success", name],
+    });
+    const keyResult = {
+        type: "object",
+        properties: { success: { const: true }, key: ref("ApiKey") },
+        required: ["success", "key"],
+    };
+    const graphqlDescription = `The schema is available by introspection. Queries deeper than ${CONFIG.graphql.maxDepth} levels or with an estimated cost over ${CONFIG.graphql.maxCost} are rejected.`;
+
+    const document = {
+        openapi: "3.1.0",
+        info: {
+            title: "IOM Weather API",
+            version: API_VERSION,
+            description: "Isle of Man 5-day forecasts from the gov.im RSS feed, with natural language queries.",
+        },
+        paths: {
+            "/": {
+                get: {
+                    summary: "Legacy forecast list used by the frontend",
+                    parameters: parameters(LegacyForecastsQuerySchema, "query"),
+                    responses: {
+                        200: jsonResponse("Every publication from today, or for one date", { type: "array", items: ref("Forecast") }),
+                        400: errorResponse("Invalid date"),
+                    },
+                },
+            },
+            "/v1/forecasts": {
+                get: {
+                    summary: "Forecasts for a range of days, paged",
+                    parameters: parameters(ForecastRangeQuerySchema, "query"),
+                    responses: {
+                        200: {
+                            description: "A page of forecasts, or the whole range streamed as CSV or NDJSON (one Forecast per line)",
+                            content: {
+                                "application/json": { schema: ref("ForecastPage") },
+                                "text/csv": { schema: { type: "string" } },
+                                "application/x-ndjson": { schema: { type: "string" } },
+                            },
+                        },
+                        400: errorResponse("Invalid query parameters"),
+                    },
+                },
+            },
+            "/v1/forecasts/{date}": {
+                get: {
+                    summary: "Best forecast for one day",
+                    parameters: dateParams,
+                    responses: {
+                        200: jsonResponse("The forecast", {
+                            type: "object",
+                            properties: { success: { const: true }, forecast: ref("Forecast") },
+                            required: ["success", "forecast"],
+                        }),
+                        400: errorResponse("Invalid date"),
+                        404: errorResponse("No forecasts for this date"),
+                    },
+                },
+            },
+            "/v1/forecasts/{date}/revisions": {
+                get: {
+                    summary: "Every publication for one day, newest first",
+                    parameters: dateParams,
+                    responses: {
+                        200: jsonResponse("The revisions", {
+                            type: "object",
+                            properties: {
+                                success: { const: true },
+                                date: { type: "string" },
+                                revisions: { type: "array", items: ref("Forecast") },
+                            },
+                            required: ["success", "date", "revisions"],
+                        }),
+                        400: errorResponse("Invalid date"),
+                        404: errorResponse("No forecasts for this date"),
+                    },
+                },
+            },
+            "/v1/calendar.ics": {
+                get: {
+                    summary: "iCalendar feed with one all-day event per forecast date",
+                    parameters: parameters(CalendarQuerySchema, "query"),
+                    responses: {
+                        200: { description: "The calendar", content: { "text/calendar": { schema: { type: "string" } } } },
+                        400: errorResponse("Invalid query parameters"),
+                    },
+                },
+            },
+            "/v1/climatology": {
+                get: {
+                    summary: "Monthly, seasonal or yearly statistics over the best forecast for each day",
+                    parameters: parameters(ClimatologyQuerySchema, "query"),
+                    responses: {
+                        200: jsonResponse("One entry per period, in calendar order", ref("Climatology")),
+                        400: errorResponse("Invalid query parameters"),
+                    },
+                },
+            },
+            "/v1/recommendations": {
+                get: {
+                    summary: "Forecast days ranked for an outdoor activity, with the reasons behind each score",
+                    parameters: parameters(RecommendationsQuerySchema, "query"),
+                    responses: {
+                        200: jsonResponse("The ranked days", ref("Recommendations")),
+                        400: errorResponse("Invalid query parameters"),
+                    },
+                },
+            },
+            "/v1/feed.atom": {
+                get: {
+                    summary: `Atom feed of the ${CONFIG.syndication.maxEntries} most recent publications`,
+                    responses: {
+                        200: { description: "The feed", content: { "application/atom+xml": { schema: { type: "string" } } } },
+                    },
+                },
+            },
+            "/v1/feed.json": {
+                get: {
+                    summary: `JSON Feed 1.1 of the ${CONFIG.syndication.maxEntries} most recent publications`,
+                    responses: {
+                        200: {
+                            description: "The feed; each item's _iom_weather.forecasts holds the structured rows",
+                            content: { "application/feed+json": { schema: { type: "object" } } },
+                        },
+                    },
+                },
+            },
+            "/v1/widget": {
+                get: {
+                    summary: "Self-contained HTML forecast widget for an iframe",
+                    parameters: parameters(WidgetQuerySchema, "query"),
+                    responses: {
+                        200: { description: "The widget", content: { "text/html": { schema: { type: "string" } } } },
+                        400: errorResponse("Invalid query parameters"),
+                    },
+                },
+            },
+            "/v1/widget.svg": {
+                get: {
+                    summary: "SVG forecast badge for an img element",
+                    parameters: parameters(WidgetQuerySchema, "query"),
+                    responses: {
+                        200: { description: "The badge", content: { "image/svg+xml": { schema: { type: "string" } } } },
+                        400: errorResponse("Invalid query parameters"),
+                    },
+                },
+            },
+            "/graphql": {
+                get: {
+                    summary: "Run a GraphQL query given in the query string",
+                    description: graphqlDescription,
+                    parameters: parameters(GraphQLRequestSchema, "query")
+                        .filter((param) => param.name !== "extensions")
+                        .map((param) =>
+                            param.name === "variables"
+                                ? { ...param, description: "Values for the operation's variables, as a JSON object", schema: { type: "string" } }
+                                : param
+                        ),
+                    responses: {
+                        200: jsonResponse("The query result", ref("GraphQLResponse")),
+                        400: errorResponse("Invalid query, or over the depth or cost limit"),
+                    },
+                },
+                post: {
+                    summary: "Run a GraphQL query",
+                    description: graphqlDescription,
+                    requestBody: { required: true, content: { "application/json": { schema: ref("GraphQLRequest") } } },
+                    responses: {
+                        200: jsonResponse("The query result", ref("GraphQLResponse")),
+                        400: errorResponse("Invalid query, or over the depth or cost limit"),
+                    },
+                },
+            },
+            "/ask": {
+                post: {
+                    summary: "Answer a natural language weather question",
+                    requestBody: { required: true, content: { "application/json": { schema: ref("QuestionInput") } } },
+                    responses: {
+                        200: jsonResponse("The answer with the forecasts it is based on", ref("AskResponse")),
+                        400: errorResponse("Invalid or unanswerable question"),
+                        429: errorResponse(`Daily question limit (${CONFIG.rateLimit.maxRequests}) reached`),
+                        502: errorResponse("LLM service error"),
+                        503: errorResponse("LLM service busy"),
+                        504: errorResponse("LLM service timeout"),
+                    },
+                },
+            },
+            "/admin/ingest": {
+                post: {
+                    summary: "Fetch the feed now, whatever its freshness",
+                    security: adminSecurity,
+                    responses: {
+                        200: jsonResponse("Counts of the rows written, and the recorded run", {
+                            type: "object",
+                            properties: {
+                                success: { const: true },
+                                parsed: { type: "integer" },
+                                inserted: { type: "integer" },
+                                updated: { type: "integer" },
+                                skipped: { type: "integer" },
+                                run: ref("IngestionRun"),
+                            },
+                            required: ["success", "parsed", "inserted", "updated", "skipped", "run"],
+                        }),
+                        401: errorResponse("Missing or invalid admin token"),
+                        500: errorResponse("Ingestion failed; the run records the error"),
+                        503: errorResponse("Another ingestion is already running"),
+                    },
+                },
+            },
+            "/admin/status": {
+                get: {
+                    summary: "Latest publication, stored date range, row counts and the last ingestion run",
+                    security: adminSecurity,
+                    responses: {
+                        200: jsonResponse("The status", {
+                            type: "object",
+                            properties: {
+                                success: { const: true },
+                                latest_published_at: { type: ["string", "null"] },
+                                forecast_dates: {
+                                    type: "object",
+                                    properties: { first: { type: ["string", "null"] }, last: { type: ["string", "null"] } },
+                                },
+                                row_counts: { type: "object", additionalProperties: { type: "integer" } },
+                                last_ingestion: { oneOf: [ref("IngestionRun"), { type: "null" }] },
+                            },
+                            required: ["success", "latest_published_at", "forecast_dates", "row_counts", "last_ingestion"],
+                        }),
+                        401: errorResponse("Missing or invalid admin token"),
+                    },
+                },
+            },
+            "/admin/refresh-check": {
+                get: {
+                    summary: "The staleness checks behind background refreshes",
+                    security: adminSecurity,
+                    responses: {
+                        200: jsonResponse("Each check and its inputs", ref("Freshness")),
+                        401: errorResponse("Missing or invalid admin token"),
+                    },
+                },
+            },
+            "/admin/ingestions": {
+                get: {
+                    summary: "Recent ingestion runs, newest first",
+                    security: adminSecurity,
+                    parameters: parameters(IngestionHistoryQuerySchema, "query"),
+                    responses: {
+                        200: jsonResponse("The runs", {
+                            type: "object",
+                            properties: { success: { const: true }, runs: { type: "array", items: ref("IngestionRun") } },
+                            required: ["success", "runs"],
+                        }),
+                        400: errorResponse("Invalid query parameters"),
+                        401: errorResponse("Missing or invalid admin token"),
+                    },
+                },
+            },
+            "/admin/reprocess": {
+                post: {
+                    summary: "Re-derive stored forecasts with the current parser",
+                    security: adminSecurity,
+                    parameters: parameters(ReprocessQuerySchema, "query"),
+                    responses: {
+                        200: jsonResponse("Counts for the page processed", {
+                            type: "object",
+                            properties: {
+                                success: { const: true },
+                                source: { type: "string", enum: ["archive", "stored"] },
+                                nextAfterId: { type: ["integer", "null"] },
+                            },
+                            required: ["success", "source", "nextAfterId"],
+                        }),
+                        400: errorResponse("Invalid query parameters"),
+                        401: errorResponse("Missing or invalid admin token"),
+                        503: errorResponse("An ingestion is running"),
+                    },
+                },
+            },
+            "/admin/api-keys": {
+                get: {
+                    summary: "Every API key, newest first, with today's usage",
+                    security: adminSecurity,
+                    responses: {
+                        200: jsonResponse("The keys", {
+                            type: "object",
+                            properties: { success: { const: true }, keys: { type: "array", items: ref("ApiKey") } },
+                            required: ["success", "keys"],
+                        }),
+                        401: errorResponse("Missing or invalid admin token"),
+                    },
+                },
+                post: {
+                    summary: "Issue an API key",
+                    security: adminSecurity,
+                    requestBody: { required: true, content: { "application/json": { schema: ref("ApiKeyCreate") } } },
+                    responses: {
+                        201: jsonResponse("The key, shown only this once", ref("IssuedApiKey")),
+                        400: errorResponse("Invalid body"),
+                        401: errorResponse("Missing or invalid admin token"),
+                    },
+                },
+            },
+            "/admin/api-keys/{id}": {
+                get: {
+                    summary: "One API key with its usage per day",
+                    security: adminSecurity,
+                    parameters: [...keyParams, ...parameters(ApiKeyUsageQuerySchema, "query")],
+                    responses: {
+                        200: jsonResponse("The key", {
+                            type: "object",
+                            properties: { success: { const: true }, key: ref("ApiKeyDetail") },
+                            required: ["success", "key"],
+                        }),
+                        401: errorResponse("Missing or invalid admin token"),
+                        404: errorResponse("No such key"),
+                    },
+                },
+                patch: {
+                    summary: "Rename an API key or change its quotas",
+                    security: adminSecurity,
+                    parameters: keyParams,
+                    requestBody: { required: true, content: { "application/json": { schema: ref("ApiKeyUpdate") } } },
+                    responses: {
+                        200: jsonResponse("The updated key", keyResult),
+                        400: errorResponse("Invalid body"),
+                        401: errorResponse("Missing or invalid admin token"),
+                        404: errorResponse("No such key"),
+                    },
+                },
+            },
+            "/admin/api-keys/{id}/rotate": {
+                post: {
+                    summary: "Replace an API key; the old one stops working at once",
+                    security: adminSecurity,
+                    parameters: keyParams,
+                    responses: {
+                        200: jsonResponse("The new key, shown only this once", ref("IssuedApiKey")),
+                        401: errorResponse("Missing or invalid admin token"),
+                        404: errorResponse("No such key, or it is revoked"),
+                    },
+                },
+            },
+            "/admin/api-keys/{id}/revoke": {
+                post: {
+                    summary: "Revoke an API key for good",
+                    security: adminSecurity,
+                    parameters: keyParams,
+                    responses: {
+                        200: jsonResponse("The revoked key", keyResult),
+                        401: errorResponse("Missing or invalid admin token"),
+                        404: errorResponse("No such key"),
+                    },
+                },
+            },
+            "/admin/rate-limits": {
+                get: {
+                    summary: "Per-IP /ask counters, one page at a time",
+                    security: adminSecurity,
+                    parameters: parameters(RateLimitListQuerySchema, "query"),
+                    responses: {
+                        200: jsonResponse("The counters", {
+                            type: "object",
+                            properties: {
+                                success: { const: true },
+                                rate_limits: { type: "array", items: ref("RateLimit") },
+                                cursor: { type: ["string", "null"], description: "Pass as cursor for the next page; null on the last" },
+                            },
+                            required: ["success", "rate_limits", "cursor"],
+                        }),
+                        400: errorResponse("Invalid query parameters"),
+                        401: errorResponse("Missing or invalid admin token"),
+                    },
+                },
+            },
+            "/admin/rate-limits/{ip}": {
+                get: {
+                    summary: "One IP address's /ask counter",
+                    security: adminSecurity,
+                    parameters: ipParams,
+                    responses: {
+                        200: jsonResponse("The counter", rateLimitResult("rate_limit")),
+                        401: errorResponse("Missing or invalid admin token"),
+                        404: errorResponse("No counter for this IP address"),
+                    },
+                },
+                delete: {
+                    summary: "Reset one IP address's /ask counter",
+                    security: adminSecurity,
+                    parameters: ipParams,
+                    responses: {
+                        200: jsonResponse("The counter as it was", rateLimitResult("cleared")),
+                        401: errorResponse("Missing or invalid admin token"),
+                        404: errorResponse("No counter for this IP address"),
+                    },
+                },
+            },
+            "/admin/audit": {
+                get: {
+                    summary: "Recent admin requests, newest first",
+                    security: adminSecurity,
+                    parameters: parameters(AdminAuditQuerySchema, "query"),
+                    responses: {
+                        200: jsonResponse("The requests", {
+                            type: "object",
+                            properties: { success: { const: true }, entries: { type: "array", items: ref("AdminAuditEntry") } },
+                            required: ["success", "entries"],
+                        }),
+                        400: errorResponse("Invalid query parameters"),
+                        401: errorResponse("Missing or invalid admin token"),
+                    },
+                },
+            },
+            "/openapi.json": {
+                get: {
+                    summary: "This document",
+                    responses: { 200: { description: "OpenAPI 3.1 document" } },
+                },
+            },
+        },
+        components: {
+            schemas: Object.fromEntries(Object.entries(COMPONENTS).map(([name, schema]) => [name, toJsonSchema(schema)])),
+            securitySchemes: {
+                adminToken: { type: "http", scheme: "bearer", description: "The ADMIN_TOKEN secret" },
+                apiKey: {
+                    type: "apiKey",
+                    in: "header",
+                    name: CONFIG.apiKeys.header,
+                    description: "Optional issued key with its own daily quotas; without one, /ask is limited per IP address",
+                },
+            },
+        },
+    };
+
+    // Public routes take an optional API key and count against its quotas
+    for (const [path, operations] of Object.entries(document.paths)) {
+        if (path.startsWith("/admin/") || path === "/openapi.json") continue;
+        for (const operation of Object.values(operations)) {
+            operation.security = [{}, { apiKey: [] }];
+            operation.responses[401] ??= errorResponse("Unknown or revoked API key");
+            operation.responses[429] ??= errorResponse("The API key's daily quota is used up");
+        }
+    }
+
+    // Any route can fail unexpectedly, and every query parameter is validated
+    for (const operations of Object.values(document.paths)) {
+        for (const operation of Object.values(operations)) {
+            operation.responses[400] ??= errorResponse("Unknown query parameter");
+            operation.responses[500] ??= errorResponse("Unexpected error");
+        }
+    }
+    return document;
+}
+
+// Built on first use; the schemas don't change at runtime.
+let cachedDocument = null;
+
+/**
+ * GET /openapi.json - the OpenAPI document, with the requesting origin as
+ * its server.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: Object, status: number}>}
+ */
+export async function handleOpenAPIRequest(request, env, url) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    cachedDocument ??= buildDocument();
+    return {
+        result: { ...cachedDocument, servers: [{ url: url.origin }] },
+        status: 200,
+    };
+}
@@ -8,6 +8,14 @@
  * unvalidated user input directly to these functions.
  */
 
+import { hazardsJsonColumn } from "./hazards.js";
+import { localToday } from "./localTime.js";
+import { segmentsJsonColumn } from "./segments.js";
+
+// Isle of Man date a forecast was published. Rows stored before published_date
+// was backfilled fall back to the UTC date.
+const PUBLISHED_DATE = "COALESCE(published_date, DATE(published_at))";
+
 /**
  * Whitelist of allowed database field names.
  * This ensures we never use untrusted field names in SQL queries.
@@ -21,6 +29,21 @@ const FIELD_MAP = {
     description: "description",
     rainfall: "rainfall",
     visibility: "visibility",
+    wind_speed_min: "wind_speed_min",
+    wind_speed_max: "wind_speed_max",
+    wind_gust_max: "wind_gust_max",
+    wind_direction_initial: "wind_direction_initial",
+    wind_direction_later: "wind_direction_later",
+    wind_trend: "wind_trend",
+    condition_code: "condition_code",
+    precip_rain: "precip_rain",
+    precip_drizzle: "precip_drizzle",
+    precip_showers: "precip_showers",
+    precip_snow: "precip_snow",
+    precip_sleet: "precip_sleet",
+    precip_hail: "precip_hail",
+    precip_fog: "precip_fog",
+    precip_thunder: "precip_thunder",
 };
 
 /**
@@ -126,17 +149,18 @@ export function buildQuery(validatedIntent) {
     switch (query_type) {
         case "current_conditions": {
             sql = `
-                SELECT * FROM forecast_items
-                WHERE forecast_date = date('now')
+                SELECT *, ${segmentsJsonColumn()} FROM forecast_items
+                WHERE forecast_date = ?
                 ORDER BY published_at DESC
                 LIMIT 1
             `;
+            params.push(localToday());
             break;
         }
 
         case "forecast_for_date": {
             sql = `
-                SELECT * FROM forecast_items
+                SELECT *, ${segmentsJsonColumn()} FROM forecast_items
                 WHERE forecast_date = ?
                 ORDER BY published_at DESC
                 LIMIT 1
@@ -224,7 +248,7 @@ export function buildQuery(validatedIntent) {
                     INNER JOIN (
                         SELECT forecast_date, MAX(published_at) as max_pub
                         FROM forecast_items
-                        WHERE DATE(published_at) = forecast_date
+                        WHERE ${PUBLISHED_DATE} = forecast_date
                         AND forecast_date IN (?, ?)
                         GROUP BY forecast_date
                     ) latest ON fc.forecast_date = latest.forecast_date AND fc.published_at = latest.max_pub
@@ -320,6 +344,18 @@ export function buildQuery(validatedIntent) {
             break;
         }
 
+        case "best_day_for": {
+            // Every day in the range; activities.js scores and ranks them
+            const dateClause = buildDateRangeClause(date_range, params);
+
+            sql = `
+                WITH ${buildLatestSameDayCTE(dateClause)}
+                SELECT *, ${hazardsJsonColumn()}, ${segmentsJsonColumn()} FROM latest_same_day
+                ORDER BY forecast_date ASC
+            `;
+            break;
+        }
+
         default:
             throw new Error(`Unknown query type: ${query_type}`);
     }
@@ -331,7 +367,8 @@ export function buildQuery(validatedIntent) {
  * Build a CTE that gets the best forecast for each day.
  *
  * For each forecast_date, this selects the most appropriate forecast record:
- * 1. Prioritizes "same-day" forecasts (published on the forecast date itself)
+ * 1. Prioritizes "same-day" forecasts (published on the forecast date itself,
+ *    by the Isle of Man calendar)
  * 2. Falls back to the most recent earlier forecast if no same-day forecast exists
  *
  * This ensures we use the most accurate prediction available for each day,
@@ -341,7 +378,7 @@ export function buildQuery(validatedIntent) {
  * @param {string|null} dateClause - SQL WHERE clause for filtering date range
  * @returns {string} - SQL CTE definition
  */
-function buildLatestSameDayCTE(dateClause) {
+export function buildLatestSameDayCTE(dateClause) {
     return `
         latest_same_day AS (
             SELECT fc.*
@@ -352,8 +389,8 @@ function buildLatestSameDayCTE(dateClause) {
                 SELECT
                     forecast_date,
                     COALESCE(
-                        MAX(CASE WHEN DATE(published_at) = forecast_date THEN published_at END),
-                        MAX(CASE WHEN DATE(published_at) < forecast_date THEN published_at END)
+                        MAX(CASE WHEN ${PUBLISHED_DATE} = forecast_date THEN published_at END),
+                        MAX(CASE WHEN ${PUBLISHED_DATE} < forecast_date THEN published_at END)
                     ) as best_pub
                 FROM forecast_items
                 ${dateClause ? "WHERE " + dateClause : ""}
@@ -362,63 +399,119 @@ function buildLatestSameDayCTE(dateClause) {
         )`;
 }
 
+/**
+ * Build a clause matching forecasts by their forecast_hazards tags.
+ *
+ * - eq: tagged with the given hazard code
+ * - ne: not tagged with the given hazard code
+ * - is_not_null: tagged with any hazard
+ * - is_null: no hazards at all
+ */
+function buildHazardClause(cond, params) {
+    const hazardExists = (codeFilter) =>
+        `EXISTS (SELECT 1 FROM forecast_hazards h WHERE h.forecast_id = id${codeFilter})`;
+
+    switch (cond.operator) {
+        case "eq":
+            params.push(cond.value);
+            return hazardExists(" AND h.hazard = ?");
+        case "ne":
+            params.push(cond.value);
+            return `NOT ${hazardExists(" AND h.hazard = ?")}`;
+        case "is_not_null":
+            return hazardExists("");
+        case "is_null":
+            return `NOT ${hazardExists("")}`;
+        default:
+            throw new Error(`Invalid operator for hazard: ${cond.operator}`);
+    }
+}
+
+/**
+ * Build a clause matching forecasts whose forecast_segments row for the
+ * condition's period satisfies the condition.
+ */
+function buildSegmentClause(cond, params) {
+    const field = FIELD_MAP[cond.field];
+    if (!field) {
+        throw new Error(`Invalid field: ${cond.field}`);
+    }
+
+    params.push(cond.period);
+    const clause = buildFieldClause(`s.${field}`, cond, params);
+    return `EXISTS (SELECT 1 FROM forecast_segments s WHERE s.forecast_id = id AND s.period = ? AND ${clause})`;
+}
+
+/**
+ * Build the comparison for a single condition against a column.
+ */
+function buildFieldClause(field, cond, params) {
+    switch (cond.operator) {
+        case "eq":
+            params.push(cond.value);
+            return `${field} = ?`;
+        case "ne":
+            params.push(cond.value);
+            return `${field} != ?`;
+        case "gt":
+            params.push(cond.value);
+            return `CAST(${field} AS REAL) > ?`;
+        case "gte":
+            params.push(cond.value);
+            return `CAST(${field} AS REAL) >= ?`;
+        case "lt":
+            params.push(cond.value);
+            return `CAST(${field} AS REAL) < ?`;
+        case "lte":
+            params.push(cond.value);
+            return `CAST(${field} AS REAL) <= ?`;
+        case "contains": {
+            // Escape LIKE special characters and wrap with wildcards
+            const escapedValue = String(cond.value).replace(/[%_]/g, "\\$&");
+            params.push(`%${escapedValue}%`);
+            return `${field} LIKE ?`;
+        }
+        case "is_null":
+            return `${field} IS NULL`;
+        case "is_not_null":
+            return `${field} IS NOT NULL`;
+        default:
+            throw new Error(`Invalid operator: ${cond.operator}`);
+    }
+}
+
 /**
  * Build WHERE clause from conditions.
+ *
+ * Also used by the calendar feed to filter days (see calendar.js).
+ *
+ * @param {Object[]|undefined} conditions - Validated conditions (see ConditionSchema)
+ * @param {Array} params - Bound parameters, appended to in clause order
+ * @param {boolean} [negate] - Match forecasts that fail every condition instead
+ * @returns {string} - SQL boolean expression over forecast_items columns
  */
-function buildConditionClause(conditions, params, negate = false) {
+export function buildConditionClause(conditions, params, negate = false) {
     if (!conditions || conditions.length === 0) {
         return "1=1";
     }
 
     const clauses = conditions.map((cond) => {
+        if (cond.field === "hazard") {
+            const clause = buildHazardClause(cond, params);
+            return negate ? `NOT (${clause})` : clause;
+        }
+
+        if (cond.period) {
+            const clause = buildSegmentClause(cond, params);
+            return negate ? `NOT (${clause})` : clause;
+        }
+
         const field = FIELD_MAP[cond.field];
         if (!field) {
             throw new Error(`Invalid field: ${cond.field}`);
         }
 
-        let clause = "";
-
-        switch (cond.operator) {
-            case "eq":
-                clause = `${field} = ?`;
-                params.push(cond.value);
-                break;
-            case "ne":
-                clause = `${field} != ?`;
-                params.push(cond.value);
-                break;
-            case "gt":
-                clause = `CAST(${field} AS REAL) > ?`;
-                params.push(cond.value);
-                break;
-            case "gte":
-                clause = `CAST(${field} AS REAL) >= ?`;
-                params.push(cond.value);
-                break;
-            case "lt":
-                clause = `CAST(${field} AS REAL) < ?`;
-                params.push(cond.value);
-                break;
-            case "lte":
-                clause = `CAST(${field} AS REAL) <= ?`;
-                params.push(cond.value);
-                break;
-            case "contains":
-                clause = `${field} LIKE ?`;
-                // Escape LIKE special characters and wrap with wildcards
-                const escapedValue = String(cond.value).replace(/[%_]/g, "\\$&");
-                params.push(`%${escapedValue}%`);
-                break;
-            case "is_null":
-                clause = `${field} IS NULL`;
-                break;
-            case "is_not_null":
-                clause = `${field} IS NOT NULL`;
-                break;
-            default:
-                throw new Error(`Invalid operator: ${cond.operator}`);
-        }
-
+        const clause = buildFieldClause(field, cond, params);
         return negate ? `NOT (${clause})` : clause;
     });
 
@@ -436,7 +529,8 @@ function buildDateRangeClause(date_range, params) {
     if (date_range.start === "first_record") {
         // No lower bound needed
     } else if (date_range.start === "today") {
-        clauses.push("forecast_date >= date('now')");
+        clauses.push("forecast_date >= ?");
+        params.push(localToday());
     } else {
         clauses.push("forecast_date >= ?");
         params.push(date_range.start);
@@ -445,7 +539,8 @@ function buildDateRangeClause(date_range, params) {
     if (date_range.end === "last_record") {
         // No upper bound needed
     } else if (date_range.end === "today") {
-        clauses.push("forecast_date <= date('now')");
+        clauses.push("forecast_date <= ?");
+        params.push(localToday());
     } else {
         clauses.push("forecast_date <= ?");
         params.push(date_range.end);
@@ -456,10 +551,11 @@ function buildDateRangeClause(date_range, params) {
 
 /**
  * Resolve special date keywords to actual dates.
+ * "today" is the Isle of Man date, not the UTC one.
  */
 function resolveDate(dateStr) {
     if (dateStr === "today") {
-        return new Date().toISOString().split("T")[0];
+        return localToday();
     }
     return dateStr;
 }
@@ -2,6 +2,9 @@ import { CONFIG } from "./config.js";
 
 const { maxRequests: RATE_LIMIT, windowSeconds: WINDOW_SECONDS } = CONFIG.rateLimit;
 
+// KV key prefix of the per-IP /ask counters
+const KEY_PREFIX = "ratelimit:ask:";
+
 /**
  * Check if a request is allowed under rate limiting rules.
  * Uses Cloudflare KV to track request counts per IP.
@@ -12,7 +15,7 @@ const { maxRequests: RATE_LIMIT, windowSeconds: WINDOW_SECONDS } = CONFIG.rateLi
  */
 export async function checkRateLimit(request, env) {
     const ip = request.headers.get("CF-Connecting-IP") || "unknown";
-    const key = `ratelimit:ask:${ip}`;
+    const key = `${KEY_PREFIX}${ip}`;
 
     try {
         // Get current count from KV
@@ -72,3 +75,63 @@ export async function checkRateLimit(request, env) {
         return { allowed: true, remaining: RATE_LIMIT - 1 };
     }
 }
+
+// Shape a stored counter for admin responses.
+function formatRateLimit(ip, data) {
+    const resetsAt = (data.windowStart + WINDOW_SECONDS) * 1000;
+    return {
+        ip,
+        count: data.count,
+        remaining: Math.max(RATE_LIMIT - data.count, 0),
+        limited: data.count >= RATE_LIMIT,
+        window_start: new Date(data.windowStart * 1000).toISOString(),
+        resets_at: new Date(resetsAt).toISOString(),
+    };
+}
+
+/**
+ * List the stored per-IP counters, one KV page at a time.
+ * Entries that expire between listing and reading are left out.
+ *
+ * @param {Object} env - Environment bindings including RATE_LIMIT_KV
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of keys to read
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @returns {Promise<{entries: Object[], cursor: string|null}>}
+ */
+export async function listRateLimits(env, { limit = CONFIG.admin.defaultHistoryLimit, cursor } = {}) {
+    const page = await env.RATE_LIMIT_KV.list({ prefix: KEY_PREFIX, limit, cursor });
+    const entries = [];
+    for (const { name } of page.keys) {
+        const data = await env.RATE_LIMIT_KV.get(name, { type: "json" });
+        if (data) entries.push(formatRateLimit(name.slice(KEY_PREFIX.length), data));
+    }
+    return { entries, cursor: page.list_complete ? null : page.cursor };
+}
+
+/**
+ * The stored counter for one IP address.
+ *
+ * @param {Object} env - Environment bindings including RATE_LIMIT_KV
+ * @param {string} ip - Client IP address, as sent in CF-Connecting-IP
+ * @returns {Promise<Object|null>} - null if the IP has no counter
+ */
+export async function getRateLimit(env, ip) {
+    const data = await env.RATE_LIMIT_KV.get(`${KEY_PREFIX}${ip}`, { type: "json" });
+    return data ? formatRateLimit(ip, data) : null;
+}
+
+/**
+ * Delete the counter for one IP address, giving it a full allowance again.
+ *
+ * @param {Object} env - Environment bindings including RATE_LIMIT_KV
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object|null>} - The counter as it was, or null if there was none
+ */
+export async function clearRateLimit(env, ip) {
+    const entry = await getRateLimit(env, ip);
+    if (entry) {
+        await env.RATE_LIMIT_KV.delete(`${KEY_PREFIX}${ip}`);
+    }
+    return entry;
+}
@@ -0,0 +1,111 @@
+/**
+ * Refresh Lease Module
+ *
+ * Coordinates feed ingestion across requests, cron triggers and admin calls
+ * through two KV keys: a lease held while an ingestion runs, so runs never
+ * overlap, and a marker that spaces out request-triggered refreshes, so
+ * stale data doesn't start a new run on every read while the feed has
+ * nothing newer.
+ */
+
+import { CONFIG } from "./config.js";
+
+const LEASE_KEY = "lease:ingestion";
+const INTERVAL_KEY = "lease:ingestion:last-request";
+const { leaseSeconds: LEASE_SECONDS, minIntervalSeconds: MIN_INTERVAL_SECONDS } = CONFIG.refresh;
+
+/**
+ * Try to take the ingestion lease.
+ * Uses Cloudflare KV with an expiring key, so a holder that dies without
+ * releasing it only blocks refreshes until the TTL runs out.
+ *
+ * KV has no compare-and-set, so the lease is written and then read back to
+ * check it wasn't overwritten by a concurrent holder. That narrows the race
+ * rather than closing it; a rare overlapping run is harmless because
+ * forecasts are upserted by guid.
+ *
+ * @param {Object} env - Environment bindings including RATE_LIMIT_KV
+ * @returns {Promise<string|null>} - Lease token, or null if the lease is held or KV failed
+ */
+export async function acquireRefreshLease(env) {
+    try {
+        const current = await env.RATE_LIMIT_KV.get(LEASE_KEY);
+        if (current) {
+            return null;
+        }
+
+        const token = crypto.randomUUID();
+        await env.RATE_LIMIT_KV.put(LEASE_KEY, token, { expirationTtl: LEASE_SECONDS });
+
+        const stored = await env.RATE_LIMIT_KV.get(LEASE_KEY);
+        return stored === token ? token : null;
+    } catch (error) {
+        console.error("Failed to acquire refresh lease:", error);
+        // On error, skip the refresh; the next request or cron run retries
+        return null;
+    }
+}
+
+/**
+ * Release the ingestion lease if it is still held with the given token.
+ *
+ * @param {Object} env - Environment bindings including RATE_LIMIT_KV
+ * @param {string} token - Token returned by acquireRefreshLease
+ */
+export async function releaseRefreshLease(env, token) {
+    try {
+        const stored = await env.RATE_LIMIT_KV.get(LEASE_KEY);
+        if (stored === token) {
+            await env.RATE_LIMIT_KV.delete(LEASE_KEY);
+        }
+    } catch (error) {
+        console.error("Failed to release refresh lease:", error);
+    }
+}
+
+/**
+ * Claim a request-triggered refresh. Data stays stale until the feed
+ * publishes something newer, which is normal overnight, so only one refresh
+ * may start per CONFIG.refresh.minIntervalSeconds however many requests find
+ * it stale. Like the lease, the check and write narrow the race between
+ * requests rather than close it.
+ *
+ * @param {Object} env - Environment bindings including RATE_LIMIT_KV
+ * @returns {Promise<boolean>} - Whether a refresh may start now
+ */
+export async function claimRequestRefresh(env) {
+    try {
+        if (await env.RATE_LIMIT_KV.get(INTERVAL_KEY)) {
+            return false;
+        }
+        await env.RATE_LIMIT_KV.put(INTERVAL_KEY, new Date().toISOString(), { expirationTtl: MIN_INTERVAL_SECONDS });
+        return true;
+    } catch (error) {
+        console.error("Failed to claim request refresh:", error);
+        // On error, skip the refresh; the next request or cron run retries
+        return false;
+    }
+}
+
+/**
+ * Run a task while holding the ingestion lease, so only one ingestion runs
+ * at a time across requests and cron triggers.
+ *
+ * @param {Object} env - Environment bindings including RATE_LIMIT_KV
+ * @param {Function} task - Async function to run under the lease
+ * @returns {Promise<boolean>} - Whether the task ran
+ */
+export async function withRefreshLease(env, task) {
+    const token = await acquireRefreshLease(env);
+    if (!token) {
+        console.log("Ingestion lease is held elsewhere, skipping refresh");
+        return false;
+    }
+
+    try {
+        await task();
+        return true;
+    } finally {
+        await releaseRefreshLease(env, token);
+    }
+}
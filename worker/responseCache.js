@@ -0,0 +1,137 @@
+/**
+ * Response Cache Module
+ *
+ * Forecast responses only change when ingestion or reprocessing writes rows,
+ * so they are cached against a data version kept in KV. The version is part
+ * of every Cache API key and ETag; bumping it after a write makes every
+ * older cache entry and ETag unreachable, with no purge needed.
+ *
+ * KV is eventually consistent, so other locations can keep serving the
+ * previous version for up to a minute after a bump.
+ */
+
+import { CONFIG } from "./config.js";
+
+const VERSION_KEY = "cache:version";
+
+// Derive a fresh version from the latest publication and ingestion run, plus
+// the current time so that re-deriving unchanged rows still changes it.
+async function deriveDataVersion(env) {
+    const row = await env.DB.prepare(`
+        select
+            (select max(published_at) from forecast_items) as published_at,
+            (select max(id) from ingestion_runs) as run_id
+    `).first();
+    return [Date.parse(row?.published_at) || 0, row?.run_id ?? 0, Date.now()]
+        .map((part) => part.toString(36))
+        .join(".");
+}
+
+/**
+ * Current data version, created on first use.
+ *
+ * @param {Object} env - Environment bindings including DB and RATE_LIMIT_KV
+ * @returns {Promise<string|null>} - Version, or null if KV failed (skip caching)
+ */
+export async function getDataVersion(env) {
+    try {
+        const version = await env.RATE_LIMIT_KV.get(VERSION_KEY);
+        if (version) return version;
+
+        const created = await deriveDataVersion(env);
+        await env.RATE_LIMIT_KV.put(VERSION_KEY, created);
+        return created;
+    } catch (error) {
+        console.error("Failed to read data version:", error);
+        return null;
+    }
+}
+
+/**
+ * Move to a new data version after rows were written, so cached responses
+ * and ETags for the old data are no longer used.
+ *
+ * @param {Object} env - Environment bindings including DB and RATE_LIMIT_KV
+ */
+export async function bumpDataVersion(env) {
+    try {
+        const version = await deriveDataVersion(env);
+        await env.RATE_LIMIT_KV.put(VERSION_KEY, version);
+        console.log(`Data version is now ${version}`);
+    } catch (error) {
+        // Cached entries still expire after CONFIG.cache.edgeMaxAge
+        console.error("Failed to bump data version:", error);
+    }
+}
+
+// Short stable hash, to fold the Accept header into keys and ETags.
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+/**
+ * Validators and cache key for a GET at a data version. Endpoints that
+ * negotiate on Accept get a different key and ETag per Accept header.
+ *
+ * @param {Request} request - The incoming request
+ * @param {URL} url - Parsed request URL
+ * @param {string} version - Data version
+ * @returns {{etag: string, cacheKey: Request}}
+ */
+export function cacheIdentity(request, url, version) {
+    const variant = hashString(request.headers.get("Accept") || "");
+    const keyUrl = new URL(url);
+    keyUrl.searchParams.set("__version", version);
+    keyUrl.searchParams.set("__accept", variant);
+    return {
+        etag: `"${version}-${variant}"`,
+        cacheKey: new Request(keyUrl.toString(), { method: "GET" }),
+    };
+}
+
+/**
+ * Whether the request's If-None-Match matches an ETag.
+ *
+ * @param {Request} request - The incoming request
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+export function matchesIfNoneMatch(request, etag) {
+    const header = request.headers.get("If-None-Match");
+    if (!header) return false;
+    if (header.trim() === "*") return true;
+    return header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === etag);
+}
+
+/**
+ * Cache-Control for cacheable forecast responses: browsers revalidate with
+ * the ETag after a short while; the edge cache keeps them longer because a
+ * new data version bypasses them anyway.
+ */
+export const CACHE_CONTROL = `public, max-age=${CONFIG.cache.browserMaxAge}, s-maxage=${CONFIG.cache.edgeMaxAge}`;
+
+/**
+ * Vary for cacheable forecast responses: /v1/forecasts picks its format from
+ * Accept, and a shared cache must keep responses to requests with and
+ * without an API key apart, or keyed requests it answers would skip their
+ * quota.
+ */
+export const CACHE_VARY = `Accept, ${CONFIG.apiKeys.header}`;
+
+/**
+ * Cache-Control to send with a forecast response. Requests with an API key
+ * are counted against its quota, so shared caches must not answer them.
+ *
+ * @param {Request} request - The incoming request
+ * @returns {string}
+ */
+export function cacheControlFor(request) {
+    if (request.headers.has(CONFIG.apiKeys.header)) {
+        return `private, max-age=${CONFIG.cache.browserMaxAge}`;
+    }
+    return CACHE_CONTROL;
+}
@@ -0,0 +1,56 @@
+/**
+ * Request Router
+ *
+ * Matches a request's method and path against a table of routes. Paths are
+ * written like "/v1/forecasts/:date/revisions"; a trailing "/*" matches the
+ * path itself and anything below it, and method "*" matches any method, for
+ * route families such as /admin that dispatch internally.
+ */
+
+// Compile a route path into a regex with named groups for its parameters.
+function compilePath(path) {
+    const prefix = path.endsWith("/*");
+    const segments = (prefix ? path.slice(0, -2) : path)
+        .split("/")
+        .filter(Boolean)
+        .map((segment) => (segment.startsWith(":") ? `(?<${segment.slice(1)}>[^/]+)` : segment.replace(/[.+?^${}()|[\]\\]/g, "\\$&")));
+    const body = segments.length > 0 ? `/${segments.join("/")}` : "";
+    return new RegExp(`^${body}${prefix ? "(?:/.*)?" : ""}/?$`);
+}
+
+// Decode a path parameter, leaving malformed escapes for validation to reject.
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Create a router from a list of routes.
+ *
+ * @param {Array<{method: string, path: string}>} routes - Routes with any extra
+ *   properties (handler, flags) the caller needs back on a match
+ * @returns {Function} - (method, pathname) => {route, params} on a match,
+ *   {allowed} when the path exists but not for this method, or null
+ */
+export function createRouter(routes) {
+    const compiled = routes.map((route) => ({ route, pattern: compilePath(route.path) }));
+
+    return function match(method, pathname) {
+        const allowed = [];
+        for (const { route, pattern } of compiled) {
+            const found = pathname.match(pattern);
+            if (!found) continue;
+            if (route.method === method || route.method === "*") {
+                const params = Object.fromEntries(
+                    Object.entries(found.groups || {}).map(([name, value]) => [name, decodeParam(value)])
+                );
+                return { route, params };
+            }
+            allowed.push(route.method);
+        }
+        return allowed.length > 0 ? { allowed: [...new Set(allowed)] } : null;
+    };
+}
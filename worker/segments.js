@@ -0,0 +1,233 @@
+/**
+ * Time-of-Day Segmentation Module
+ *
+ * Splits the day-level description, wind_details and visibility text into
+ * morning / afternoon / evening / overnight segments, so "Dry at first,
+ * outbreaks of rain developing later" can be answered per part of the day.
+ * Segments are stored one row per period in the forecast_segments table.
+ */
+
+import { classifyCondition, mentionsWeather, PRECIP_FLAGS } from "./conditions.js";
+
+/**
+ * Periods of the day, in chronological order.
+ */
+export const DAY_PERIODS = ["morning", "afternoon", "evening", "overnight"];
+
+const MORNING = 0;
+const AFTERNOON = 1;
+const EVENING = 2;
+const OVERNIGHT = 3;
+
+/**
+ * Text fields that are segmented.
+ */
+export const SEGMENTED_FIELDS = ["description", "wind_details", "visibility"];
+
+/**
+ * Columns stored per segment besides forecast_id and period. The condition
+ * code and precipitation flags are classified from the segment description.
+ */
+export const SEGMENT_COLUMNS = [...SEGMENTED_FIELDS, "condition_code", ...PRECIP_FLAGS];
+
+// Phrases that place a clause in a period. "dawn" is the following dawn,
+// so it belongs to overnight.
+const PERIOD_PATTERNS = [
+    /\b(morning|breakfast)\b/,
+    /\b(afternoon|midday|lunchtime|noon)\b/,
+    /\b(evening|tonight|dusk|end the day|end of the day)\b/,
+    /\b(overnight|night|dawn|into (monday|tuesday|wednesday|thursday|friday|saturday|sunday|tomorrow|the weekend))\b/,
+];
+
+const AT_FIRST = /\b(at first|start|starting|to begin|first thing|initially|early on)\b/;
+const ALL_DAY = /\b(all day|through the day|throughout the day|much of the day|during the day|during day)\b/;
+const LATER = /\blater\b/;
+
+// Clauses describing a change replace earlier clauses from the period they
+// start in.
+const CHANGE = /\b(becom\w*|turn\w*|clearing|clears|clear (to|away|from|later|soon)|develop\w*|increas\w*|decreas\w*|veer\w*|back(s|ing)|eas(e|es|ing)|arriv\w*|spread\w*|settl\w*|dying|die out|peter\w*|moderating|freshen\w*|fall(s|ing)|improv\w*)\b/;
+
+// Unmarked clauses starting with these words follow on from the previous one.
+const FOLLOWS_ON = /^(then|before|but)\b/;
+
+// Leading connectives dropped from segment text.
+const LEADING_CONNECTIVE = /^(then|before|but|and|with)\s+/i;
+const CONNECTIVE_ONLY = /^(otherwise|then|and|but|however)$/i;
+
+// A "then" without a comma before it only starts a clause when more than one
+// word follows: "sunny intervals then developing" is one clause, but
+// "Showers at first, then dry" is two.
+function splitClauses(text) {
+    return text
+        .replace(/<br\s*\/?>/gi, " ")
+        .split(/\.(?:\s+|$)|;\s*|,\s*|\s+(?=(?:then\s+[^\s,.;]+\s+\w|before\b|but (?:turning|becoming|clearing|then)\b))/i)
+        .map((clause) => clause.trim())
+        .filter((clause) => clause && !CONNECTIVE_ONLY.test(clause));
+}
+
+// Work out which periods a clause applies to, relative to the previous group.
+function clauseRange(clause, previous) {
+    const text = clause.toLowerCase();
+    const periods = PERIOD_PATTERNS.flatMap((pattern, index) => (pattern.test(text) ? [index] : []));
+    const atFirst = AT_FIRST.test(text);
+    if (atFirst) periods.push(MORNING);
+
+    let start;
+    let end;
+    // "later" after a clause that is already later in the day joins it,
+    // unless it follows on ("..., then decreasing later")
+    const laterStart = Math.min(
+        Math.max(previous ? previous.start + (FOLLOWS_ON.test(text) ? 1 : 0) : AFTERNOON, AFTERNOON),
+        OVERNIGHT
+    );
+
+    if (periods.length > 0) {
+        // "rain later in day and at night" starts before the night
+        start = LATER.test(text) ? Math.min(...periods, laterStart) : Math.min(...periods);
+        end = Math.max(...periods);
+    } else if (ALL_DAY.test(text)) {
+        start = MORNING;
+        end = EVENING;
+    } else if (LATER.test(text) && previous) {
+        start = laterStart;
+        end = Math.max(start, EVENING);
+    } else if (!previous) {
+        return { start: MORNING, end: EVENING, replaces: false, atFirst: false };
+    } else if (previous.atFirst) {
+        start = Math.min(previous.end + 1, OVERNIGHT);
+        end = Math.max(start, EVENING);
+    } else if (FOLLOWS_ON.test(text)) {
+        start = Math.min(previous.start + 1, OVERNIGHT);
+        end = Math.max(start, EVENING);
+    } else {
+        // Continues the previous clause
+        return null;
+    }
+
+    // A change carries on to the end of the day and replaces what came before
+    const replaces = CHANGE.test(text) || FOLLOWS_ON.test(text);
+    if (replaces && end < EVENING) {
+        end = EVENING;
+    }
+    return { start, end, replaces, atFirst: atFirst && end === MORNING };
+}
+
+// Join clauses into one sentence, lowercasing capitalised words (not
+// compass points) at the start of later clauses.
+function formatSegment(clauses) {
+    const text = clauses
+        .map((clause) => clause.replace(LEADING_CONNECTIVE, ""))
+        .map((clause, i) => (i > 0 && /^[A-Z][a-z]/.test(clause) ? clause.charAt(0).toLowerCase() + clause.slice(1) : clause))
+        .join(", ");
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Splits forecast text into time-of-day segments.
+ *
+ * Clauses are read in order. Time phrases ("at first", "this afternoon",
+ * "later", "overnight into Monday") place a clause in one or more periods;
+ * unmarked clauses apply to the whole day if they come first, otherwise they
+ * continue the previous clause. A change ("turning", "clearing", "veering",
+ * "then ...") replaces earlier clauses from the period it starts in, so
+ * "Dry, rain developing later" gives a dry morning and a wet afternoon and
+ * evening; other timed clauses add to what is already there. Overnight is
+ * only filled when the text mentions it.
+ *
+ * @param {string|null} text - Description, wind details or visibility text
+ * @returns {Object} - Segment text (or null) keyed by DAY_PERIODS
+ */
+export function segmentText(text) {
+    const segments = Object.fromEntries(DAY_PERIODS.map((period) => [period, null]));
+    if (typeof text !== "string" || !text.trim()) return segments;
+
+    const groups = [];
+    for (const clause of splitClauses(text)) {
+        const previous = groups[groups.length - 1];
+        const range = clauseRange(clause, previous);
+        if (range) {
+            groups.push({ ...range, clauses: [clause] });
+        } else {
+            previous.clauses.push(clause);
+        }
+    }
+
+    DAY_PERIODS.forEach((period, index) => {
+        const covering = groups.filter((group) => group.start <= index && index <= group.end);
+        // Drop groups superseded by a change that starts after them
+        const visible = covering.filter(
+            (group, i) => !covering.slice(i + 1).some((later) => later.replaces && later.start > group.start)
+        );
+        if (visible.length > 0) {
+            segments[period] = formatSegment(visible.flatMap((group) => group.clauses));
+        }
+    });
+
+    return segments;
+}
+
+/**
+ * Segments a forecast into one row per period that has any text.
+ *
+ * @param {Object} forecast - Forecast with description, wind_details and visibility
+ * @returns {Object[]} - Rows with period plus SEGMENT_COLUMNS
+ */
+export function segmentForecast(forecast) {
+    const byField = Object.fromEntries(
+        SEGMENTED_FIELDS.map((field) => [field, segmentText(forecast[field])])
+    );
+
+    let previousCondition = null;
+    return DAY_PERIODS.flatMap((period) => {
+        const segment = { period };
+        for (const field of SEGMENTED_FIELDS) {
+            segment[field] = byField[field][period];
+        }
+        if (SEGMENTED_FIELDS.every((field) => segment[field] === null)) return [];
+
+        // Without a description there is nothing to classify; fragments such as
+        // "heavy overnight" keep the weather of the period before
+        let condition;
+        if (!segment.description) {
+            condition = Object.fromEntries(["condition_code", ...PRECIP_FLAGS].map((column) => [column, null]));
+        } else if (!mentionsWeather(segment.description) && previousCondition) {
+            condition = previousCondition;
+        } else {
+            condition = classifyCondition(segment.description);
+            previousCondition = condition;
+        }
+        return [{ ...segment, ...condition }];
+    });
+}
+
+/**
+ * SQL expression returning a forecast's segments as a JSON array.
+ * Select it alongside forecast_items columns and decode with withSegments().
+ *
+ * @param {string} idColumn - Column holding the forecast_items id
+ * @returns {string}
+ */
+export function segmentsJsonColumn(idColumn = "id") {
+    const fields = ["period", ...SEGMENT_COLUMNS].map((column) => `'${column}', s.${column}`).join(", ");
+    return `(
+        SELECT json_group_array(json_object(${fields}))
+        FROM forecast_segments s
+        WHERE s.forecast_id = ${idColumn}
+    ) AS segments`;
+}
+
+/**
+ * Decodes the segments JSON column on each row, in DAY_PERIODS order.
+ * Rows selected without it (aggregates, streaks) are returned unchanged.
+ *
+ * @param {Object[]} rows - Rows selected with segmentsJsonColumn()
+ * @returns {Object[]} - Rows with segments as an array
+ */
+export function withSegments(rows) {
+    return rows.map((row) => {
+        if (!("segments" in row)) return row;
+        const segments = row.segments ? JSON.parse(row.segments) : [];
+        segments.sort((a, b) => DAY_PERIODS.indexOf(a.period) - DAY_PERIODS.indexOf(b.period));
+        return { ...row, segments };
+    });
+}
@@ -0,0 +1,236 @@
+/**
+ * Atom and JSON Feed
+ *
+ * Re-publishes the stored forecasts as Atom (GET /v1/feed.atom) and JSON Feed
+ * 1.1 (GET /v1/feed.json), one entry per publication. Each entry carries the
+ * structured forecast rows for every day the bulletin covers, so consumers
+ * don't have to pick apart the HTML in the gov.im RSS feed.
+ */
+
+import { calendarSummary } from "./calendar.js";
+import { CONFIG } from "./config.js";
+import { validationError } from "./errors.js";
+import { hazardsJsonColumn, withHazards } from "./hazards.js";
+import { localDate, TIME_ZONE } from "./localTime.js";
+import { SEGMENT_COLUMNS, segmentsJsonColumn, withSegments } from "./segments.js";
+import { formatDateLong } from "./utils.js";
+import { NoQuerySchema, parseQuery } from "./validation.js";
+
+const ENTRY_ID_PREFIX = "urn:iom-weather:publication:";
+const FORECAST_NAMESPACE = "urn:iom-weather:forecast";
+
+// Fields written as child elements of <w:forecast> in Atom entries.
+const ATOM_FIELDS = [
+    "min_temp",
+    "max_temp",
+    "wind_speed",
+    "wind_direction",
+    "wind_details",
+    "wind_speed_min",
+    "wind_speed_max",
+    "wind_gust_max",
+    "wind_trend",
+    "rainfall",
+    "rainfall_min",
+    "rainfall_max",
+    "visibility",
+    "visibility_code",
+    "condition_code",
+    "description",
+    "comments",
+];
+
+/**
+ * Retrieve the most recent publications, each with its forecast rows.
+ *
+ * @param {Object} env - Environment bindings including DB
+ * @returns {Promise<Array<{published_at: string, forecasts: Object[]}>>} - Newest first
+ */
+async function getRecentPublications(env) {
+    const query = `
+        select *, ${hazardsJsonColumn()}, ${segmentsJsonColumn()}
+        from forecast_items
+        where published_at in (
+            select distinct published_at
+            from forecast_items
+            order by published_at desc
+            limit ?
+        )
+        order by published_at desc, forecast_date asc
+    `;
+    const { results } = await env.DB.prepare(query).bind(CONFIG.syndication.maxEntries).all();
+
+    const publications = [];
+    for (const row of withSegments(withHazards(results || []))) {
+        const last = publications[publications.length - 1];
+        if (last?.published_at === row.published_at) {
+            last.forecasts.push(row);
+        } else {
+            publications.push({ published_at: row.published_at, forecasts: [row] });
+        }
+    }
+    return publications;
+}
+
+// Entry title, e.g. "Forecast issued Wednesday, 15 January 2025 at 08:00".
+function publicationTitle(publishedAt) {
+    const time = new Date(publishedAt).toLocaleTimeString("en-GB", {
+        timeZone: TIME_ZONE,
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+    return `Forecast issued ${formatDateLong(localDate(publishedAt))} at ${time}`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Plain text rendering of a publication: one summary line per day.
+function publicationText(forecasts) {
+    return forecasts
+        .map((forecast) => `${formatDateLong(forecast.forecast_date)}: ${calendarSummary(forecast)}`)
+        .join("\n");
+}
+
+// HTML rendering of a publication for feed readers.
+function publicationHtml(forecasts) {
+    return forecasts
+        .map((forecast) => {
+            const paragraphs = [calendarSummary(forecast), forecast.description, forecast.comments]
+                .filter(Boolean)
+                .map((text) => `<p>${escapeXml(text)}</p>`)
+                .join("");
+            return `<h2>${escapeXml(formatDateLong(forecast.forecast_date))}</h2>${paragraphs}`;
+        })
+        .join("");
+}
+
+// Structured <w:forecast> element for one forecast row.
+function atomForecast(forecast) {
+    const element = (name, value) => (value == null ? "" : `<w:${name}>${escapeXml(value)}</w:${name}>`);
+
+    const fields = ATOM_FIELDS.map((field) => element(field, forecast[field])).join("");
+    const hazards = forecast.hazards
+        .map(({ hazard, severity }) => `<w:hazard severity="${escapeXml(severity)}">${escapeXml(hazard)}</w:hazard>`)
+        .join("");
+    const segments = forecast.segments
+        .map((segment) => {
+            const columns = SEGMENT_COLUMNS.map((column) => element(column, segment[column])).join("");
+            return `<w:segment period="${escapeXml(segment.period)}">${columns}</w:segment>`;
+        })
+        .join("");
+
+    return `<w:forecast date="${forecast.forecast_date}">${fields}${hazards}${segments}</w:forecast>`;
+}
+
+/**
+ * Build an Atom document with one entry per publication.
+ *
+ * @param {Array<{published_at: string, forecasts: Object[]}>} publications - Newest first
+ * @param {string} selfUrl - URL the feed is served from
+ * @returns {string}
+ */
+export function buildAtomFeed(publications, selfUrl) {
+    const { title, homePageUrl, author } = CONFIG.syndication;
+    const updated = publications[0]?.published_at ?? new Date(0).toISOString();
+
+    const entries = publications.map(({ published_at, forecasts }) => `
+  <entry>
+    <id>${ENTRY_ID_PREFIX}${escapeXml(published_at)}</id>
+    <title>${escapeXml(publicationTitle(published_at))}</title>
+    <published>${published_at}</published>
+    <updated>${published_at}</updated>
+    <summary>${escapeXml(publicationText(forecasts))}</summary>
+    <content type="html">${escapeXml(publicationHtml(forecasts))}</content>
+    ${forecasts.map(atomForecast).join("\n    ")}
+  </entry>`);
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:w="${FORECAST_NAMESPACE}">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(author)}</name></author>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(homePageUrl)}"/>${entries.join("")}
+</feed>
+`;
+}
+
+/**
+ * Build a JSON Feed 1.1 document with one item per publication. The
+ * structured rows are in each item's _iom_weather extension.
+ *
+ * @param {Array<{published_at: string, forecasts: Object[]}>} publications - Newest first
+ * @param {string} selfUrl - URL the feed is served from
+ * @returns {Object}
+ */
+export function buildJsonFeed(publications, selfUrl) {
+    const { title, homePageUrl, author } = CONFIG.syndication;
+
+    return {
+        version: "https://jsonfeed.org/version/1.1",
+        title,
+        home_page_url: homePageUrl,
+        feed_url: selfUrl,
+        language: "en-GB",
+        authors: [{ name: author }],
+        items: publications.map(({ published_at, forecasts }) => ({
+            id: `${ENTRY_ID_PREFIX}${published_at}`,
+            title: publicationTitle(published_at),
+            content_text: publicationText(forecasts),
+            content_html: publicationHtml(forecasts),
+            date_published: published_at,
+            _iom_weather: { published_at, forecasts },
+        })),
+    };
+}
+
+/**
+ * GET /v1/feed.atom - recent publications as an Atom feed.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: string|Object, status: number, contentType?: string}>}
+ */
+export async function handleAtomFeedRequest(request, env, url) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const publications = await getRecentPublications(env);
+    return {
+        result: buildAtomFeed(publications, `${url.origin}${url.pathname}`),
+        status: 200,
+        contentType: "application/atom+xml; charset=utf-8",
+    };
+}
+
+/**
+ * GET /v1/feed.json - recent publications as a JSON Feed.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: string|Object, status: number, contentType?: string}>}
+ */
+export async function handleJsonFeedRequest(request, env, url) {
+    const queryValidation = parseQuery(NoQuerySchema, url);
+    if (!queryValidation.success) {
+        return validationError(queryValidation.error);
+    }
+
+    const publications = await getRecentPublications(env);
+    return {
+        result: JSON.stringify(buildJsonFeed(publications, `${url.origin}${url.pathname}`)),
+        status: 200,
+        contentType: "application/feed+json; charset=utf-8",
+    };
+}
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { getFeedConfig } from "../config.js";
+import { fetchFeed, parseFeed } from "../feed.js";
+import { startFeedServer } from "./feedServer.js";
+
+describe("fetchFeed against the stand-in server", () => {
+    let server;
+    before(async () => {
+        server = await startFeedServer();
+    });
+    after(() => server.close());
+
+    // Short timeouts and delays so the retries don't slow the tests down
+    const config = (path, overrides = {}) => ({
+        ...getFeedConfig({ FEED_URL: `${server.url}${path}`, FEED_RETRY_DELAY_MS: "10", FEED_TIMEOUT_MS: "200" }),
+        ...overrides,
+    });
+    const requestsTo = (path) => server.requests.filter((request) => request.path.startsWith(path));
+
+    it("returns the body and its validators", async () => {
+        const result = await fetchFeed(config("/rss"));
+        assert.equal(result.status, 200);
+        assert.equal(result.notModified, false);
+        assert.equal(parseFeed(result.body).forecasts.length, 2);
+        assert.deepEqual(result.validators, { etag: '"stand-in-1"', lastModified: "Sat, 18 Oct 2026 04:30:00 GMT" });
+    });
+
+    it("sends the validators back and handles a 304", async () => {
+        const { validators } = await fetchFeed(config("/rss"));
+        const result = await fetchFeed(config("/rss"), validators);
+        assert.equal(result.status, 304);
+        assert.equal(result.notModified, true);
+        assert.equal(result.body, null);
+        assert.deepEqual(result.validators, validators);
+        assert.equal(server.requests.at(-1).headers["if-none-match"], '"stand-in-1"');
+    });
+
+    it("retries 5xx responses until the feed comes back", async () => {
+        const result = await fetchFeed(config("/flaky?fail=2"));
+        assert.equal(result.status, 200);
+        assert.equal(requestsTo("/flaky").length, 3);
+    });
+
+    it("gives up after maxRetries retries", async () => {
+        const before = requestsTo("/status/503").length;
+        await assert.rejects(fetchFeed(config("/status/503")), { kind: "http_status", status: 503, retryable: true });
+        assert.equal(requestsTo("/status/503").length - before, 1 + getFeedConfig({}).maxRetries);
+    });
+
+    it("doesn't retry other client errors", async () => {
+        await assert.rejects(fetchFeed(config("/status/404")), { kind: "http_status", status: 404, retryable: false });
+        assert.equal(requestsTo("/status/404").length, 1);
+    });
+
+    it("times out slow responses and retries them", async () => {
+        const before = requestsTo("/slow").length;
+        await assert.rejects(fetchFeed(config("/slow?ms=2000", { maxRetries: 1 })), { kind: "timeout", retryable: true });
+        assert.equal(requestsTo("/slow").length - before, 2);
+    });
+
+    it("rejects a body that isn't XML without retrying", async () => {
+        await assert.rejects(fetchFeed(config("/html")), { kind: "not_xml", status: 200, retryable: false });
+        assert.equal(requestsTo("/html").length, 1);
+    });
+});
+
+describe("getFeedConfig", () => {
+    it("falls back to the defaults for values that aren't numbers", () => {
+        const defaults = getFeedConfig({});
+        const config = getFeedConfig({ FEED_MAX_RETRIES: "lots", FEED_TIMEOUT_MS: "", FEED_RETRY_DELAY_MS: "-5" });
+        assert.equal(config.maxRetries, defaults.maxRetries);
+        assert.equal(config.timeoutMs, defaults.timeoutMs);
+        assert.equal(config.retryDelayMs, defaults.retryDelayMs);
+    });
+
+    it("accepts zero retries", () => {
+        assert.equal(getFeedConfig({ FEED_MAX_RETRIES: "0" }).maxRetries, 0);
+    });
+});
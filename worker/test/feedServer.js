@@ -0,0 +1,99 @@
+/**
+ * Stand-in Feed Server
+ *
+ * A local stand-in for the gov.im RSS feed, to exercise the feed client
+ * without the real one. Each path behaves differently:
+ *
+ *   /rss            - the fixture feed, with an ETag and Last-Modified; a
+ *                     request sending either validator back gets a 304
+ *   /flaky?fail=N   - 503 for the first N requests, then the feed
+ *   /slow?ms=N      - the feed after a delay of N milliseconds
+ *   /status/N       - an empty response with status N
+ *   /html           - an HTML error page with status 200
+ *
+ * Tests import startFeedServer. Run this file directly to serve on a fixed
+ * port, then point `wrangler dev` at it with FEED_URL:
+ *
+ *   npm run feed:stand-in
+ *   FEED_URL=http://localhost:8788/flaky?fail=2 wrangler dev
+ */
+
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+
+const FEED_BODY = readFileSync(new URL("./fixtures/feed.xml", import.meta.url), "utf8");
+const ETAG = '"stand-in-1"';
+const LAST_MODIFIED = "Sat, 18 Oct 2026 04:30:00 GMT";
+const DEFAULT_PORT = 8788;
+
+function sendFeed(request, response) {
+    if (request.headers["if-none-match"] === ETAG || request.headers["if-modified-since"] === LAST_MODIFIED) {
+        response.writeHead(304, { ETag: ETAG, "Last-Modified": LAST_MODIFIED });
+        response.end();
+        return;
+    }
+    response.writeHead(200, { "Content-Type": "application/rss+xml", ETag: ETAG, "Last-Modified": LAST_MODIFIED });
+    response.end(FEED_BODY);
+}
+
+/**
+ * Start the stand-in server.
+ *
+ * @param {number} [port] - Port to listen on; 0 picks a free one
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>} - Base
+ *   URL, the requests received so far (path and headers), and a close function
+ */
+export function startFeedServer(port = 0) {
+    const requests = [];
+    const counts = new Map();
+
+    const server = createServer((request, response) => {
+        const url = new URL(request.url, "http://localhost");
+        requests.push({ path: url.pathname + url.search, headers: request.headers });
+        const count = (counts.get(url.pathname) || 0) + 1;
+        counts.set(url.pathname, count);
+
+        if (url.pathname === "/rss") {
+            sendFeed(request, response);
+        } else if (url.pathname === "/flaky") {
+            if (count <= Number(url.searchParams.get("fail") || 1)) {
+                response.writeHead(503);
+                response.end();
+            } else {
+                sendFeed(request, response);
+            }
+        } else if (url.pathname === "/slow") {
+            const timer = setTimeout(() => sendFeed(request, response), Number(url.searchParams.get("ms") || 1000));
+            response.on("close", () => clearTimeout(timer));
+        } else if (url.pathname.startsWith("/status/")) {
+            response.writeHead(Number(url.pathname.slice("/status/".length)));
+            response.end();
+        } else if (url.pathname === "/html") {
+            response.writeHead(200, { "Content-Type": "text/html" });
+            response.end("<!DOCTYPE html><html><body>Service temporarily unavailable</body></html>");
+        } else {
+            response.writeHead(404);
+            response.end();
+        }
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise((done) => {
+                    server.closeAllConnections();
+                    server.close(done);
+                }),
+            });
+        });
+    });
+}
+
+// Run directly: serve on a fixed port until stopped
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { url } = await startFeedServer(Number(process.env.PORT) || DEFAULT_PORT);
+    console.log(`Stand-in feed server listening on ${url} (try ${url}/rss, /flaky?fail=2, /slow?ms=15000, /status/503, /html)`);
+}
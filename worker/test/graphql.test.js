@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CONFIG } from "../config.js";
+import { handleGraphQLRequest } from "../graphql.js";
+
+// Queries here are either rejected by the cost limit or never reach a
+// resolver, so no database is needed.
+function runQuery(query, variables) {
+    const url = new URL("https://example.com/graphql");
+    url.searchParams.set("query", query);
+    if (variables) url.searchParams.set("variables", JSON.stringify(variables));
+    return handleGraphQLRequest(new Request(url), {}, url);
+}
+
+// forecasts(limit) { forecasts { revisions { id } } } costs 11 + 10 per item;
+// the revisions query alongside it costs 1110 on its own.
+const PAGE = "forecasts(limit: $limit) { forecasts { revisions { id } } }";
+const REVISIONS = 'revisions(date: "2026-10-18") { revisions { revisions { id } } }';
+
+describe("GraphQL cost limit", () => {
+    it("counts a negative or zero limit as one item", async () => {
+        for (const limit of [-100, 0]) {
+            const { result, status } = await runQuery(`query ($limit: Int) { ${PAGE} ${REVISIONS} }`, { limit });
+            assert.equal(status, 400);
+            assert.equal(result.message, `Query cost 1131 exceeds the limit of ${CONFIG.graphql.maxCost}`);
+        }
+    });
+
+    it("counts an oversized limit as the largest page", async () => {
+        const { result, status } = await runQuery(`query ($limit: Int) { ${PAGE} }`, { limit: 100000 });
+        assert.equal(status, 400);
+        assert.equal(
+            result.message,
+            `Query cost ${11 + 10 * CONFIG.api.maxPageSize} exceeds the limit of ${CONFIG.graphql.maxCost}`
+        );
+    });
+
+    it("uses the limit given as a literal too", async () => {
+        const { result } = await runQuery(`{ ${PAGE.replace("$limit", "-100")} ${REVISIONS} }`);
+        assert.match(result.message, /^Query cost 1131 /);
+    });
+});
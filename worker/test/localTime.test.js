@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import * as appLocalTime from "../../app/localTime.js";
+import * as workerLocalTime from "../localTime.js";
+
+// Both copies of the module must agree (see the NOTE in each), so every case
+// runs against both. Transitions: BST starts at 01:00 UTC on the last Sunday
+// of March and ends at 01:00 UTC on the last Sunday of October.
+const COPIES = { "worker/localTime.js": workerLocalTime, "app/localTime.js": appLocalTime };
+
+for (const [name, { localDate, localToday, addDays, dayOfWeek }] of Object.entries(COPIES)) {
+    describe(name, () => {
+        afterEach(() => mock.timers.reset());
+
+        describe("localDate", () => {
+            it("changes date at UTC midnight in winter", () => {
+                assert.equal(localDate("2025-03-29T23:30:00Z"), "2025-03-29");
+                assert.equal(localDate("2025-03-30T00:30:00Z"), "2025-03-30");
+            });
+
+            it("changes date at 23:00 UTC once BST starts in March", () => {
+                assert.equal(localDate("2025-03-30T00:59:59Z"), "2025-03-30");
+                assert.equal(localDate("2025-03-30T01:00:00Z"), "2025-03-30");
+                assert.equal(localDate("2025-03-30T22:59:59Z"), "2025-03-30");
+                assert.equal(localDate("2025-03-30T23:30:00Z"), "2025-03-31");
+                assert.equal(localDate("2026-03-29T23:30:00Z"), "2026-03-30");
+            });
+
+            it("changes date at 23:00 UTC until BST ends in October", () => {
+                assert.equal(localDate("2025-10-25T22:59:59Z"), "2025-10-25");
+                assert.equal(localDate("2025-10-25T23:30:00Z"), "2025-10-26");
+                assert.equal(localDate("2025-10-26T00:30:00Z"), "2025-10-26");
+                assert.equal(localDate("2025-10-26T01:30:00Z"), "2025-10-26");
+            });
+
+            it("changes date at UTC midnight once BST ends", () => {
+                assert.equal(localDate("2025-10-26T23:00:00Z"), "2025-10-26");
+                assert.equal(localDate("2025-10-26T23:30:00Z"), "2025-10-26");
+                assert.equal(localDate("2025-10-27T00:00:00Z"), "2025-10-27");
+                assert.equal(localDate("2026-10-25T23:30:00Z"), "2026-10-25");
+            });
+
+            it("accepts Dates, strings and timestamps", () => {
+                const instant = "2025-03-30T23:30:00Z";
+                assert.equal(localDate(new Date(instant)), "2025-03-31");
+                assert.equal(localDate(Date.parse(instant)), "2025-03-31");
+            });
+        });
+
+        describe("localToday", () => {
+            const todayAt = (instant) => {
+                mock.timers.reset();
+                mock.timers.enable({ apis: ["Date"], now: Date.parse(instant) });
+                return localToday();
+            };
+
+            it("is tomorrow's UTC date late in the evening during BST", () => {
+                assert.equal(todayAt("2025-03-30T23:30:00Z"), "2025-03-31");
+                assert.equal(todayAt("2025-10-25T23:30:00Z"), "2025-10-26");
+            });
+
+            it("is the UTC date after BST ends and before it starts", () => {
+                assert.equal(todayAt("2025-10-26T23:30:00Z"), "2025-10-26");
+                assert.equal(todayAt("2025-03-29T23:30:00Z"), "2025-03-29");
+            });
+        });
+
+        describe("addDays", () => {
+            it("steps over the March transition one calendar day at a time", () => {
+                assert.equal(addDays("2025-03-29", 1), "2025-03-30");
+                assert.equal(addDays("2025-03-30", 1), "2025-03-31");
+                assert.equal(addDays("2025-03-31", -1), "2025-03-30");
+                assert.equal(addDays("2025-03-28", 7), "2025-04-04");
+            });
+
+            it("steps over the October transition one calendar day at a time", () => {
+                assert.equal(addDays("2025-10-25", 1), "2025-10-26");
+                assert.equal(addDays("2025-10-26", 1), "2025-10-27");
+                assert.equal(addDays("2025-10-27", -2), "2025-10-25");
+                assert.equal(addDays("2025-10-20", 14), "2025-11-03");
+            });
+
+            it("handles a whole year across both transitions", () => {
+                assert.equal(addDays("2025-01-01", 365), "2026-01-01");
+                assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+            });
+        });
+
+        describe("dayOfWeek", () => {
+            it("puts the transition days on a Sunday", () => {
+                for (const date of ["2025-03-30", "2025-10-26", "2026-03-29", "2026-10-25"]) {
+                    assert.equal(dayOfWeek(date), 0, date);
+                }
+            });
+
+            it("gives the days either side of a transition", () => {
+                assert.equal(dayOfWeek("2025-03-29"), 6);
+                assert.equal(dayOfWeek("2025-03-31"), 1);
+                assert.equal(dayOfWeek("2025-10-25"), 6);
+                assert.equal(dayOfWeek("2025-10-27"), 1);
+            });
+        });
+    });
+}
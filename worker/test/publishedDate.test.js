@@ -0,0 +1,29 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildLatestSameDayCTE } from "../queryBuilder.js";
+import { deriveForecastFields } from "../utils.js";
+
+// A bulletin published at 00:30 BST is on the Isle of Man date, one day
+// after its UTC date; same-day selection has to use the former.
+describe("published_date", () => {
+    it("is the Isle of Man date across local midnight during BST", () => {
+        assert.equal(deriveForecastFields({ published_at: "2026-06-01T22:59:00.000Z" }).published_date, "2026-06-01");
+        assert.equal(deriveForecastFields({ published_at: "2026-06-01T23:30:00.000Z" }).published_date, "2026-06-02");
+        assert.equal(deriveForecastFields({ published_at: "2026-10-24T23:30:00.000Z" }).published_date, "2026-10-25");
+    });
+
+    it("is the UTC date in winter", () => {
+        assert.equal(deriveForecastFields({ published_at: "2026-01-15T23:30:00.000Z" }).published_date, "2026-01-15");
+        assert.equal(deriveForecastFields({ published_at: "2026-10-25T23:30:00.000Z" }).published_date, "2026-10-25");
+    });
+
+    it("is null without published_at", () => {
+        assert.equal(deriveForecastFields({}).published_date, null);
+    });
+
+    it("is what same-day selection compares with forecast_date", () => {
+        const cte = buildLatestSameDayCTE(null);
+        assert.match(cte, /COALESCE\(published_date, DATE\(published_at\)\) = forecast_date/);
+        assert.doesNotMatch(cte, /WHEN DATE\(published_at\)/);
+    });
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { claimRequestRefresh, withRefreshLease } from "../refreshLease.js";
+
+// In-memory stand-in for the KV binding; expiry isn't simulated.
+function memoryKV() {
+    const values = new Map();
+    return {
+        async get(key) { return values.get(key) ?? null; },
+        async put(key, value) { values.set(key, value); },
+        async delete(key) { values.delete(key); },
+    };
+}
+
+describe("claimRequestRefresh", () => {
+    it("lets one request start a refresh per interval", async () => {
+        const env = { RATE_LIMIT_KV: memoryKV() };
+        assert.equal(await claimRequestRefresh(env), true);
+        assert.equal(await claimRequestRefresh(env), false);
+        assert.equal(await claimRequestRefresh(env), false);
+    });
+
+    it("skips the refresh when KV fails", async () => {
+        const env = { RATE_LIMIT_KV: { get: async () => { throw new Error("KV down"); } } };
+        assert.equal(await claimRequestRefresh(env), false);
+    });
+});
+
+describe("withRefreshLease", () => {
+    it("doesn't run a task while another holds the lease", async () => {
+        const env = { RATE_LIMIT_KV: memoryKV() };
+        let inner;
+        const outer = await withRefreshLease(env, async () => {
+            inner = await withRefreshLease(env, async () => {});
+        });
+        assert.equal(outer, true);
+        assert.equal(inner, false);
+    });
+
+    it("releases the lease after the task", async () => {
+        const env = { RATE_LIMIT_KV: memoryKV() };
+        await withRefreshLease(env, async () => {});
+        assert.equal(await withRefreshLease(env, async () => {}), true);
+    });
+});
@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CACHE_CONTROL, CACHE_VARY, cacheControlFor } from "../responseCache.js";
+
+const request = (headers = {}) => new Request("https://example.com/v1/forecasts", { headers });
+
+describe("cacheControlFor", () => {
+    it("lets shared caches keep anonymous responses", () => {
+        assert.equal(cacheControlFor(request()), CACHE_CONTROL);
+        assert.match(cacheControlFor(request()), /^public, .*s-maxage=/);
+    });
+
+    it("keeps responses to API key requests out of shared caches", () => {
+        const cacheControl = cacheControlFor(request({ "X-API-Key": "iomw_example" }));
+        assert.match(cacheControl, /^private, /);
+        assert.doesNotMatch(cacheControl, /s-maxage/);
+    });
+});
+
+describe("CACHE_VARY", () => {
+    it("varies on Accept and the API key header", () => {
+        assert.deepEqual(CACHE_VARY.split(/,\s*/), ["Accept", "X-API-Key"]);
+    });
+});
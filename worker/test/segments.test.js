@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { segmentForecast, segmentText } from "../segments.js";
+
+describe("segmentText", () => {
+    it("puts the clause after \"at first, then\" in the rest of the day", () => {
+        assert.deepEqual(segmentText("Showers at first, then dry."), {
+            morning: "Showers at first",
+            afternoon: "Dry",
+            evening: "Dry",
+            overnight: null,
+        });
+        assert.deepEqual(segmentText("Cloudy at first, then brightening."), {
+            morning: "Cloudy at first",
+            afternoon: "Brightening",
+            evening: "Brightening",
+            overnight: null,
+        });
+        assert.deepEqual(segmentText("Misty start, then sunny."), {
+            morning: "Misty start",
+            afternoon: "Sunny",
+            evening: "Sunny",
+            overnight: null,
+        });
+    });
+
+    it("follows on from an unmarked clause with \"then\"", () => {
+        assert.deepEqual(segmentText("Moderate at times in rain, then good. Hill fog until later."), {
+            morning: "Moderate at times in rain",
+            afternoon: "Good, hill fog until later",
+            evening: "Good, hill fog until later",
+            overnight: null,
+        });
+    });
+
+    it("keeps \"then\" with one word and no comma in its clause", () => {
+        assert.deepEqual(segmentText("Rain at first, clearing through the morning with sunny intervals then developing."), {
+            morning: "Rain at first, clearing through the morning with sunny intervals then developing",
+            afternoon: "Clearing through the morning with sunny intervals then developing",
+            evening: "Clearing through the morning with sunny intervals then developing",
+            overnight: null,
+        });
+    });
+
+    it("places timed clauses", () => {
+        assert.deepEqual(segmentText("Dry at first, outbreaks of rain developing later. Clearing overnight."), {
+            morning: "Dry at first",
+            afternoon: "Outbreaks of rain developing later",
+            evening: "Outbreaks of rain developing later",
+            overnight: "Clearing overnight",
+        });
+    });
+
+    it("returns no segments without text", () => {
+        assert.deepEqual(segmentText(null), { morning: null, afternoon: null, evening: null, overnight: null });
+    });
+});
+
+describe("segmentForecast", () => {
+    it("classifies each period from its own text", () => {
+        const rows = segmentForecast({ description: "Showers at first, then dry.", wind_details: null, visibility: null });
+        assert.deepEqual(rows.map(({ period, condition_code, precip_showers }) => [period, condition_code, precip_showers]), [
+            ["morning", 80, 1], // Slight rain showers
+            ["afternoon", 2, 0], // Partly cloudy
+            ["evening", 2, 0],
+        ]);
+    });
+});
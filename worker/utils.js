@@ -2,6 +2,9 @@
  * Shared utility functions for the IOM Weather Worker.
  */
 
+import { classifyCondition, PRECIP_FLAGS } from "./conditions.js";
+import { formatLocalDate, localDate } from "./localTime.js";
+
 /**
  * Formats rainfall value by adding "mm" after each numeric value or range.
  * Handles cases like "15-20, but 25-40 on hills" -> "15-20mm, but 25-40mm on hills"
@@ -25,8 +28,7 @@ export function formatRainfall(value) {
  * @returns {string} - Formatted date string
  */
 export function formatDateLong(dateStr) {
-    const date = new Date(dateStr + "T12:00:00Z");
-    return date.toLocaleDateString("en-GB", {
+    return formatLocalDate(dateStr, {
         weekday: "long",
         day: "numeric",
         month: "long",
@@ -42,8 +44,7 @@ export function formatDateLong(dateStr) {
  * @returns {string} - Formatted date string
  */
 export function formatDateShort(dateStr) {
-    const date = new Date(dateStr + "T12:00:00Z");
-    return date.toLocaleDateString("en-GB", {
+    return formatLocalDate(dateStr, {
         weekday: "short",
         day: "numeric",
         month: "short",
@@ -65,10 +66,29 @@ export function formatFieldName(field) {
         rainfall: "rainfall",
         visibility: "visibility",
         description: "description",
+        wind_speed_min: "minimum wind speed",
+        wind_speed_max: "maximum wind speed",
+        wind_gust_max: "maximum gust",
+        wind_direction_initial: "initial wind direction",
+        wind_direction_later: "later wind direction",
+        wind_trend: "wind direction trend",
+        condition_code: "weather condition",
     };
     return names[field] || field;
 }
 
+/**
+ * Returns the display unit for a numeric database field.
+ *
+ * @param {string} field - Database field name
+ * @returns {string} - Unit suffix, or "" for unitless fields
+ */
+export function formatFieldUnit(field) {
+    if (field.includes("temp")) return "°C";
+    if (field.startsWith("wind_speed") || field === "wind_gust_max") return "mph";
+    return "";
+}
+
 // =============================================================================
 // Data Denormalization Utilities
 // =============================================================================
@@ -88,6 +108,7 @@ export function formatFieldName(field) {
  * - Complex: "5-10, risk 15-25 hills" -> { min: 5, max: 25 } (absolute min/max)
  * - With qualifier: "2-8, risk of 15 on hills" -> { min: 2, max: 15 }
  * - With text: "1-5 mainly overnight" -> { min: 1, max: 5 }
+ * - No rain: "Nil" or "Nil." -> { min: 0, max: 0 }
  *
  * @param {string} rainfallStr - Raw rainfall string from RSS feed
  * @returns {{min: number|null, max: number|null}} - Parsed min/max values
@@ -99,6 +120,10 @@ export function parseRainfallRange(rainfallStr) {
 
     const trimmed = rainfallStr.trim();
 
+    if (/^nil\.?$/i.test(trimmed)) {
+        return { min: 0, max: 0 };
+    }
+
     // Find all numbers in the string (including decimals)
     const allNumbers = trimmed.match(/\d+(?:\.\d+)?/g);
 
@@ -159,3 +184,160 @@ export function parseVisibilityCode(visibilityStr) {
 
     return null;
 }
+
+/**
+ * Compass points on a 16-point rose, clockwise from north.
+ * Used to tell veering (clockwise) from backing (anticlockwise) changes.
+ */
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+const DIRECTION_TOKEN = /\b(NNE|ENE|ESE|SSE|SSW|WSW|WNW|NNW|NE|SE|SW|NW|N|E|S|W|variable)\b/;
+
+/**
+ * Rewrites spelled-out directions ("West", "North-east", "Southerly") as
+ * compass abbreviations and lowercases "Variable" so they tokenize alike.
+ */
+function normalizeDirections(text) {
+    const initial = (word) => word[0].toUpperCase();
+    return text
+        .replace(/\b(north|south)[\s-]?(east|west)(?:erly|ward)?\b/gi, (_, a, b) => initial(a) + initial(b))
+        .replace(/\b(north|south|east|west)(?:erly|ward)?\b/gi, (_, a) => initial(a))
+        .replace(/\bvariable\b/gi, "variable");
+}
+
+/**
+ * Works out whether a change between two compass points is a veer or a back.
+ * Returns null for opposite or non-compass directions.
+ */
+function directionChange(from, to) {
+    const fromIndex = COMPASS_POINTS.indexOf(from);
+    const toIndex = COMPASS_POINTS.indexOf(to);
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return null;
+    const clockwise = (toIndex - fromIndex + COMPASS_POINTS.length) % COMPASS_POINTS.length;
+    if (clockwise === COMPASS_POINTS.length / 2) return null;
+    return clockwise < COMPASS_POINTS.length / 2 ? "veering" : "backing";
+}
+
+/**
+ * Parses the free-text wind forecast into structured values.
+ *
+ * Handles the phrasing found in the RSS feed's wind details, e.g.
+ * "West or NW 20-25, 25-30 gusts 40 in a few spots, decreasing NW 15-20 later":
+ * - Sustained speeds: every number that is not a gust -> min 15, max 30
+ * - Gusts: "gusts 40", "gusts of 35", "gusting 75-80", "risk of 85 gusts" -> max 40
+ * - Initial direction: first compass point mentioned -> "W"
+ * - Later direction: first compass point of the last clause that names one -> "NW"
+ * - Trend: "backing"/"veering" keywords ("mixed" if both appear), otherwise
+ *   inferred from the initial and later directions
+ *
+ * Falls back to the single wind_speed value for the sustained range when the
+ * text has no numbers.
+ *
+ * @param {string} windDetailsStr - Raw wind details string from RSS feed
+ * @param {number|null} windSpeed - Headline wind speed from the feed
+ * @returns {{wind_speed_min: number|null, wind_speed_max: number|null, wind_gust_max: number|null,
+ *   wind_direction_initial: string|null, wind_direction_later: string|null, wind_trend: string|null}}
+ */
+export function parseWindDetails(windDetailsStr, windSpeed = null) {
+    const fallbackSpeed = Number.isFinite(windSpeed) ? windSpeed : null;
+    const result = {
+        wind_speed_min: fallbackSpeed,
+        wind_speed_max: fallbackSpeed,
+        wind_gust_max: null,
+        wind_direction_initial: null,
+        wind_direction_later: null,
+        wind_trend: null,
+    };
+    if (!windDetailsStr || typeof windDetailsStr !== "string") {
+        return result;
+    }
+
+    let text = normalizeDirections(windDetailsStr)
+        .replace(/(\d+)\s+to\s+(\d+)/gi, "$1-$2")
+        .replace(/\d+(?::\d+)?\s*(?:am|pm)\b/gi, "");
+
+    // Pull out gust figures first so they don't count as sustained speeds
+    const gusts = [];
+    const collectGusts = (_, low, high) => {
+        gusts.push(parseInt(low, 10));
+        if (high) gusts.push(parseInt(high, 10));
+        return " ";
+    };
+    text = text
+        .replace(/\bgust(?:s|ing)?\s+(?:of\s+|up\s+to\s+|to\s+)?(\d+)(?:\s*-\s*(\d+))?/gi, collectGusts)
+        .replace(/\bof\s+(\d+)(?:\s*-\s*(\d+))?\s+gusts?\b/gi, collectGusts);
+    if (gusts.length > 0) {
+        result.wind_gust_max = Math.max(...gusts);
+    }
+
+    const speeds = (text.match(/\d+/g) || []).map((n) => parseInt(n, 10));
+    if (speeds.length > 0) {
+        result.wind_speed_min = Math.min(...speeds);
+        result.wind_speed_max = Math.max(...speeds);
+    }
+
+    // A new clause starts at punctuation, "then", or a change of direction
+    const clauses = text.split(/[,.;]|\bthen\b|(?=\b(?:backing|veering|becoming|turning)\b)/i);
+    const directions = clauses
+        .map((clause) => clause.match(DIRECTION_TOKEN))
+        .filter(Boolean)
+        .map((match) => match[1]);
+    if (directions.length > 0) {
+        result.wind_direction_initial = directions[0];
+    }
+    if (directions.length > 1) {
+        result.wind_direction_later = directions[directions.length - 1];
+    }
+
+    const backing = /\bback(?:s|ed|ing)\b/i.test(text);
+    const veering = /\bveer(?:s|ed|ing)\b/i.test(text);
+    if (backing && veering) {
+        result.wind_trend = "mixed";
+    } else if (backing || veering) {
+        result.wind_trend = backing ? "backing" : "veering";
+    } else if (result.wind_direction_later) {
+        result.wind_trend = directionChange(result.wind_direction_initial, result.wind_direction_later);
+    }
+
+    return result;
+}
+
+/**
+ * Columns derived from the raw fields by deriveForecastFields.
+ */
+export const DERIVED_COLUMNS = [
+    "published_date",
+    "rainfall_min",
+    "rainfall_max",
+    "visibility_code",
+    "wind_speed_min",
+    "wind_speed_max",
+    "wind_gust_max",
+    "wind_direction_initial",
+    "wind_direction_later",
+    "wind_trend",
+    "condition_code",
+    ...PRECIP_FLAGS,
+];
+
+/**
+ * Computes every denormalized column from a forecast's raw text fields.
+ *
+ * Used both when parsing the feed and when re-deriving stored rows, so the
+ * two paths always agree.
+ *
+ * @param {Object} forecast - Forecast with published_at and raw rainfall, visibility, wind and description text
+ * @returns {Object} - Values for each column in DERIVED_COLUMNS
+ */
+export function deriveForecastFields(forecast) {
+    const { min, max } = parseRainfallRange(forecast.rainfall);
+    return {
+        // Isle of Man date of publication, to compare with forecast_date
+        published_date: forecast.published_at ? localDate(forecast.published_at) : null,
+        rainfall_min: min,
+        rainfall_max: max,
+        visibility_code: parseVisibilityCode(forecast.visibility),
+        ...parseWindDetails(forecast.wind_details, forecast.wind_speed),
+        ...classifyCondition(forecast.description),
+    };
+}
@@ -1,4 +1,10 @@
 import { z } from "zod";
+import { CONFIG } from "./config.js";
+import { HAZARD_CODES } from "./hazards.js";
+import { INGESTION_TRIGGERS } from "./ingestionLog.js";
+import { addDays, localToday } from "./localTime.js";
+import { DAY_PERIODS, SEGMENT_COLUMNS } from "./segments.js";
+import { DERIVED_COLUMNS } from "./utils.js";
 
 // Whitelist of allowed query types
 const QueryTypeSchema = z.enum([
@@ -14,6 +20,7 @@ const QueryTypeSchema = z.enum([
     "list_days_with",
     "period_summary",
     "max_streak",
+    "best_day_for",
 ]);
 
 // Whitelist of allowed fields (database columns that can be queried)
@@ -25,8 +32,30 @@ const AllowedFieldSchema = z.enum([
     "description",
     "rainfall",
     "visibility",
+    "wind_speed_min",
+    "wind_speed_max",
+    "wind_gust_max",
+    "wind_direction_initial",
+    "wind_direction_later",
+    "wind_trend",
+    "condition_code",
+    "precip_rain",
+    "precip_drizzle",
+    "precip_showers",
+    "precip_snow",
+    "precip_sleet",
+    "precip_hail",
+    "precip_fog",
+    "precip_thunder",
 ]);
 
+// Fields that can appear in conditions: database columns plus "hazard",
+// which matches forecasts tagged with a hazard code in forecast_hazards
+const ConditionFieldSchema = z.enum([...AllowedFieldSchema.options, "hazard"]);
+
+// Operators that make sense for hazard conditions
+const HAZARD_OPERATORS = ["eq", "ne", "is_null", "is_not_null"];
+
 // Whitelist of allowed operators
 const AllowedOperatorSchema = z.enum([
     "eq",
@@ -40,20 +69,44 @@ const AllowedOperatorSchema = z.enum([
     "is_not_null",
 ]);
 
+// Fields that can be restricted to a period of the day (forecast_segments columns)
+const SEGMENT_FIELDS = AllowedFieldSchema.options.filter((field) => SEGMENT_COLUMNS.includes(field));
+
 // Numeric fields for validation
-const NUMERIC_FIELDS = ["min_temp", "max_temp", "wind_speed"];
+const NUMERIC_FIELDS = [
+    "min_temp",
+    "max_temp",
+    "wind_speed",
+    "wind_speed_min",
+    "wind_speed_max",
+    "wind_gust_max",
+    "condition_code",
+];
 
 // Condition schema with strict validation
 const ConditionSchema = z
     .object({
-        field: AllowedFieldSchema,
+        field: ConditionFieldSchema,
         operator: AllowedOperatorSchema,
         value: z.union([z.string(), z.number(), z.null()]),
+        period: z.enum(DAY_PERIODS).optional(),
     })
     .refine(
         (data) => {
             const numericOperators = ["gt", "gte", "lt", "lte"];
 
+            // period only applies to fields stored per segment
+            if (data.period && !SEGMENT_FIELDS.includes(data.field)) return false;
+
+            // hazard only supports presence checks against a known hazard code
+            if (data.field === "hazard") {
+                if (!HAZARD_OPERATORS.includes(data.operator)) return false;
+                if (data.operator === "eq" || data.operator === "ne") {
+                    return HAZARD_CODES.includes(data.value);
+                }
+                return data.value === null;
+            }
+
             // Numeric operators only with numeric fields and number values
             if (numericOperators.includes(data.operator)) {
                 return NUMERIC_FIELDS.includes(data.field) && typeof data.value === "number";
@@ -76,6 +129,9 @@ const ConditionSchema = z
         }
     );
 
+// Activity profiles defined in CONFIG.activities
+export const ACTIVITIES = Object.keys(CONFIG.activities);
+
 // Date validation - accepts YYYY-MM-DD or special keywords
 const DateStringSchema = z.string().refine(
     (val) => {
@@ -128,6 +184,7 @@ export const QueryIntentSchema = z
         compare_dates: z.tuple([DateStringSchema, DateStringSchema]).optional(),
         limit: z.number().int().min(1).max(10).optional(),
         extreme: z.enum(["max", "min"]).optional(),
+        activity: z.enum(ACTIVITIES).optional(),
     })
     .refine(
         (data) => {
@@ -146,6 +203,8 @@ export const QueryIntentSchema = z
                     return data.date_range !== undefined && data.fields?.length > 0 && data.extreme !== undefined;
                 case "max_streak":
                     return data.date_range !== undefined && data.conditions?.length > 0;
+                case "best_day_for":
+                    return data.date_range !== undefined && data.activity !== undefined;
                 case "current_conditions":
                     // current_conditions doesn't require target_date, it uses today
                     return true;
@@ -208,6 +267,306 @@ export const QuestionInputSchema = z.object({
         .refine((q) => !INJECTION_PATTERNS.some((p) => p.test(q)), "Invalid request"),
 });
 
+// Query parameters for GET /admin/ingestions
+export const IngestionHistoryQuerySchema = z
+    .object({
+        limit: z.coerce.number().int().min(1).max(200).optional(),
+        trigger: z.enum(INGESTION_TRIGGERS).optional(),
+    })
+    .strict();
+
+// Query parameters for POST /admin/reprocess
+export const ReprocessQuerySchema = z
+    .object({
+        source: z.enum(["archive", "stored"]).default("archive"),
+        after: z.coerce.number().int().min(0).optional(),
+        limit: z.coerce.number().int().min(1).max(1000).optional(),
+    })
+    .strict();
+
+// Daily quota for an API key; 0 blocks that kind of request
+const QuotaSchema = z.number().int().min(0).max(CONFIG.apiKeys.maxQuota);
+
+// Body of POST /admin/api-keys
+export const ApiKeyCreateSchema = z
+    .object({
+        name: z.string().trim().min(1).max(100).describe("Who the key is for"),
+        read_quota: QuotaSchema.default(CONFIG.apiKeys.defaultReadQuota).describe("Forecast reads allowed per day"),
+        ask_quota: QuotaSchema.default(CONFIG.apiKeys.defaultAskQuota).describe("/ask questions allowed per day"),
+    })
+    .strict();
+
+// Body of PATCH /admin/api-keys/{id}: any of the fields set at creation
+export const ApiKeyUpdateSchema = z
+    .object({
+        name: z.string().trim().min(1).max(100).optional(),
+        read_quota: QuotaSchema.optional(),
+        ask_quota: QuotaSchema.optional(),
+    })
+    .strict()
+    .refine((data) => Object.keys(data).length > 0, {
+        message: "Give at least one of name, read_quota and ask_quota",
+    });
+
+// Path parameters for /admin/api-keys/{id} routes
+export const ApiKeyParamsSchema = z.object({
+    id: z.coerce.number().int().min(1),
+});
+
+// Query parameters for GET /admin/api-keys/{id}
+export const ApiKeyUsageQuerySchema = z
+    .object({
+        days: z.coerce.number().int().min(1).max(CONFIG.apiKeys.maxUsageDays).default(CONFIG.apiKeys.defaultUsageDays)
+            .describe("Days of usage to return, ending today"),
+    })
+    .strict();
+
+// Query parameters for GET /admin/rate-limits
+export const RateLimitListQuerySchema = z
+    .object({
+        limit: z.coerce.number().int().min(1).max(200).optional(),
+        cursor: z.string().min(1).optional().describe("Cursor returned with the previous page"),
+    })
+    .strict();
+
+// Path parameters of /admin/rate-limits/{ip}
+export const RateLimitParamsSchema = z.object({
+    ip: z.string().min(1).max(64).regex(/^[0-9A-Fa-f.:]+$|^unknown$/, "Must be an IPv4 or IPv6 address"),
+});
+
+// Query parameters for GET /admin/audit
+export const AdminAuditQuerySchema = z
+    .object({
+        limit: z.coerce.number().int().min(1).max(200).optional(),
+        action: z.string().min(1).max(100).optional().describe("Only requests to this route, e.g. \"POST /admin/ingest\""),
+    })
+    .strict();
+
+// A real calendar date in YYYY-MM-DD format (rejects 2025-02-30)
+const CalendarDateSchema = z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format")
+    .refine((val) => !/^\d{4}-\d{2}-\d{2}$/.test(val) || addDays(val, 0) === val, "Date is not a valid calendar date");
+
+// Path parameters for /v1/forecasts/{date} and /v1/forecasts/{date}/revisions
+export const ForecastDateParamsSchema = z.object({
+    date: CalendarDateSchema,
+});
+
+// Query parameters for the legacy GET /
+export const LegacyForecastsQuerySchema = z
+    .object({
+        date: CalendarDateSchema.optional().describe("Only this date's publications (default: today onwards)"),
+    })
+    .strict();
+
+// Query for endpoints that take no parameters; anything given is rejected
+export const NoQuerySchema = z.object({}).strict();
+
+/**
+ * Validate a request's query string against a schema.
+ *
+ * @param {z.ZodTypeAny} schema - Query schema
+ * @param {URL} url - Parsed request URL
+ * @param {Object} [extra] - Values to validate alongside the query, e.g. a
+ *   repeated parameter or one negotiated from a header
+ * @returns {z.SafeParseReturnType}
+ */
+export function parseQuery(schema, url, extra = {}) {
+    return schema.safeParse({ ...Object.fromEntries(url.searchParams), ...extra });
+}
+
+// Fields a /v1/forecasts client can select with ?fields=: forecast_items
+// columns plus the decoded hazards and segments
+export const FORECAST_FIELDS = [
+    "id",
+    "published_at",
+    "forecast_date",
+    "min_temp",
+    "max_temp",
+    "wind_speed",
+    "wind_direction",
+    "description",
+    "wind_details",
+    "visibility",
+    "comments",
+    "guid",
+    "created_at",
+    "rainfall",
+    ...DERIVED_COLUMNS,
+    "hazards",
+    "segments",
+];
+
+// Response formats for GET /v1/forecasts; csv and ndjson are streamed (see export.js)
+export const FORECAST_FORMATS = ["json", "csv", "ndjson"];
+
+// Query parameters for GET /v1/forecasts. Both bounds are inclusive; from
+// defaults to today and to to the end of the longest allowed range
+// (CONFIG.api.maxRangeDays). revisions picks the best forecast per day or
+// every publication; fields is a comma-separated projection; cursor is the
+// nextCursor of the previous page.
+export const ForecastRangeQuerySchema = z
+    .object({
+        from: CalendarDateSchema.optional().describe("First date, inclusive (default: today)"),
+        to: CalendarDateSchema.optional().describe(`Last date, inclusive (default: ${CONFIG.api.maxRangeDays} days from from)`),
+        revisions: z.enum(["best", "all"]).default("best").describe("best: one forecast per day; all: every publication"),
+        fields: z
+            .string()
+            .transform((val) => [...new Set(val.split(",").map((field) => field.trim()).filter(Boolean))])
+            .pipe(z.array(z.enum(FORECAST_FIELDS)).min(1, "fields must list at least one field"))
+            .optional()
+            .describe(`Comma-separated fields to return: ${FORECAST_FIELDS.join(", ")}`),
+        limit: z.coerce.number().int().min(1).max(CONFIG.api.maxPageSize).default(CONFIG.api.defaultPageSize)
+            .describe("Page size"),
+        cursor: z.string().max(500).optional().describe("nextCursor from the previous page"),
+        format: z.enum(FORECAST_FORMATS).default("json")
+            .describe("Response format; also negotiated from the Accept header. csv and ndjson stream the whole range"),
+    })
+    .strict()
+    .transform(({ from = localToday(), to, ...rest }) => ({
+        ...rest,
+        from,
+        to: to ?? addDays(from, CONFIG.api.maxRangeDays - 1),
+    }))
+    .refine((data) => data.from <= data.to, {
+        message: "from must not be after to",
+    })
+    // Streamed exports may cover any range
+    .refine((data) => data.format !== "json" || addDays(data.from, CONFIG.api.maxRangeDays - 1) >= data.to, {
+        message: `Range must not exceed ${CONFIG.api.maxRangeDays} days`,
+    });
+
+// A ?condition= filter written as field[@period]:operator[:value], e.g.
+// "max_temp:gte:15", "precip_rain@afternoon:eq:0" or "hazard:is_null",
+// checked with the same rules as /ask conditions
+const ConditionParamSchema = z
+    .string()
+    .transform((val) => {
+        const [target, operator, ...rest] = val.split(":");
+        const [field, period] = target.split("@");
+        const text = rest.length > 0 ? rest.join(":") : null;
+        const value = text !== null && /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+        return { field, operator, value, ...(period ? { period } : {}) };
+    })
+    .pipe(ConditionSchema);
+
+export const CalendarQuerySchema = z
+    .object({
+        condition: z
+            .array(ConditionParamSchema)
+            .max(CONFIG.calendar.maxConditions)
+            .default([])
+            .describe("Only include days matching every condition, written as field[@period]:operator[:value]; repeatable"),
+        past_days: z.coerce
+            .number()
+            .int()
+            .min(0)
+            .max(CONFIG.calendar.maxPastDays)
+            .default(CONFIG.calendar.defaultPastDays)
+            .describe("Days before today to include"),
+    })
+    .strict();
+
+// Query parameters for GET /v1/recommendations. The range defaults to the
+// days the latest bulletin covers.
+export const RecommendationsQuerySchema = z
+    .object({
+        activity: z.enum(ACTIVITIES).describe("Activity profile to score days for"),
+        from: CalendarDateSchema.optional().describe("First date, inclusive (default: today)"),
+        to: CalendarDateSchema.optional()
+            .describe(`Last date, inclusive (default: ${CONFIG.feed.expectedForecastDays - 1} days from from)`),
+    })
+    .strict()
+    .transform(({ from = localToday(), to, ...rest }) => ({
+        ...rest,
+        from,
+        to: to ?? addDays(from, CONFIG.feed.expectedForecastDays - 1),
+    }))
+    .refine((data) => data.from <= data.to, {
+        message: "from must not be after to",
+    })
+    .refine((data) => addDays(data.from, CONFIG.api.maxRangeDays - 1) >= data.to, {
+        message: `Range must not exceed ${CONFIG.api.maxRangeDays} days`,
+    });
+
+// Widget themes and the colours they set; colour parameters override them
+export const WIDGET_THEMES = ["light", "dark"];
+
+// A CSS hex colour, with or without the leading "#" (which must be sent as %23)
+const HexColorSchema = z.string().regex(/^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/, "Must be a hex colour such as 1e3a8a");
+
+// Query parameters for GET /v1/widget and /v1/widget.svg
+export const WidgetQuerySchema = z
+    .object({
+        days: z.coerce.number().int().min(1).max(CONFIG.widget.maxDays).default(CONFIG.widget.defaultDays)
+            .describe("Days to show, starting today"),
+        theme: z.enum(WIDGET_THEMES).default("light"),
+        accent: HexColorSchema.optional().describe("Accent colour (default: by each day's condition)"),
+        background: HexColorSchema.optional().describe("Background colour (default: from the theme)"),
+        text: HexColorSchema.optional().describe("Text colour (default: from the theme)"),
+    })
+    .strict();
+
+// Periods GET /v1/climatology can group days by
+export const CLIMATOLOGY_GROUPS = ["month", "season", "year"];
+
+// Query parameters for GET /v1/climatology. Without bounds every stored day
+// up to today is included; across_years merges the same month or season of
+// every year into one period.
+export const ClimatologyQuerySchema = z
+    .object({
+        group: z.enum(CLIMATOLOGY_GROUPS).default("month")
+            .describe("Period to aggregate by; seasons are meteorological, winter being December to February"),
+        from: CalendarDateSchema.optional().describe("First date, inclusive (default: first record)"),
+        to: CalendarDateSchema.optional().describe("Last date, inclusive (default: today)"),
+        across_years: z.enum(["true", "false"]).default("false").transform((val) => val === "true")
+            .describe("Combine the same month or season of every year"),
+    })
+    .strict()
+    .transform(({ to = localToday(), ...rest }) => ({ ...rest, to }))
+    .refine((data) => !data.from || data.from <= data.to, {
+        message: "from must not be after to",
+    })
+    .refine((data) => !(data.across_years && data.group === "year"), {
+        message: "across_years needs group=month or group=season",
+    });
+
+// Body of POST /graphql, and the query string of GET /graphql once its
+// variables JSON is decoded. extensions is accepted for client compatibility
+// and ignored.
+export const GraphQLRequestSchema = z
+    .object({
+        query: z.string().min(1, "query must not be empty").max(CONFIG.graphql.maxQueryLength)
+            .describe("GraphQL document"),
+        variables: z.record(z.unknown()).nullable().optional().describe("Values for the operation's variables"),
+        operationName: z.string().nullable().optional().describe("Operation to run if query has several"),
+        extensions: z.record(z.unknown()).nullable().optional(),
+    })
+    .strict();
+
+// Expected <h3> sections of one forecast day in the RSS feed, keyed by
+// normalized heading (see feed.js), plus the description paragraph after <h2>.
+// Anything that doesn't match is reported as feed drift rather than rejected.
+export const FeedSectionSchema = z
+    .object({
+        description: z.string().min(1),
+        temperature: z
+            .string()
+            .regex(/(-?\d+).*?(-?\d+)/, "Unparseable temperature")
+            .refine((text) => {
+                const match = text.match(/(-?\d+).*?(-?\d+)/);
+                return !match || parseInt(match[1]) <= parseInt(match[2]);
+            }, "Minimum temperature above maximum"),
+        "wind speed": z.string().regex(/^\d+/, "Unparseable wind speed"),
+        "wind direction": z.string().min(1),
+        wind: z.string().min(1),
+        visibility: z.string().min(1),
+        "rainfall (mm)": z.string().min(1),
+        comments: z.string().optional(),
+    })
+    .strict();
+
 // Export type definitions for use elsewhere
 export const ALLOWED_FIELDS = [
     "min_temp",
@@ -217,6 +576,21 @@ export const ALLOWED_FIELDS = [
     "description",
     "rainfall",
     "visibility",
+    "wind_speed_min",
+    "wind_speed_max",
+    "wind_gust_max",
+    "wind_direction_initial",
+    "wind_direction_later",
+    "wind_trend",
+    "condition_code",
+    "precip_rain",
+    "precip_drizzle",
+    "precip_showers",
+    "precip_snow",
+    "precip_sleet",
+    "precip_hail",
+    "precip_fog",
+    "precip_thunder",
 ];
 
 export const ALLOWED_OPERATORS = [
@@ -244,4 +618,5 @@ export const QUERY_TYPES = [
     "list_days_with",
     "period_summary",
     "max_streak",
+    "best_day_for",
 ];
@@ -0,0 +1,389 @@
+/**
+ * Embeddable Forecast Widget
+ *
+ * Renders today's forecast, or the next few days, for other sites to embed:
+ * GET /v1/widget is a self-contained HTML page for an <iframe>, and
+ * GET /v1/widget.svg a standalone badge for an <img>. Both use the best
+ * forecast for each day and pick icons and colours the way the forecast
+ * cards in the app do. Neither loads scripts, fonts or other resources.
+ */
+
+import { CONFIG } from "./config.js";
+import { CONDITION_CODES } from "./conditions.js";
+import { validationError } from "./errors.js";
+import { addDays, formatLocalDate, localDate, localToday, TIME_ZONE } from "./localTime.js";
+import { buildLatestSameDayCTE } from "./queryBuilder.js";
+import { formatDateShort } from "./utils.js";
+import { parseQuery, WidgetQuerySchema } from "./validation.js";
+
+/**
+ * Weather icon selection from description keywords, for forecasts without a
+ * condition_code.
+ *
+ * NOTE: WEATHER_KEYWORDS, SINGLE_ICONS, SYNERGY_ICONS, getWeatherIcon and
+ * getWeatherClass are duplicated from app/forecastCard.js. Keep both in sync
+ * when making changes.
+ */
+const WEATHER_KEYWORDS = {
+    sunny: ["sun", "sunny", "bright", "fine", "clear", "fair"],
+    cloudy: ["cloud", "overcast", "gloomy", "dull", "cloudy", "grey", "gray", "variable"],
+    rainy: ["rain", "showers", "drizzle", "wet", "downpour", "outbreaks"],
+    snowy: ["snow", "wintry", "sleet", "hail", "blizzard"],
+};
+
+const SINGLE_ICONS = {
+    sunny: "☀️",
+    cloudy: "☁️",
+    rainy: "🌧️",
+    snowy: "❄️",
+};
+
+const SYNERGY_ICONS = {
+    "cloudy-sunny": "🌤️",
+    "sunny-cloudy": "🌤️",
+    "cloudy-rainy": "🌦️",
+    "rainy-cloudy": "🌦️",
+    "cloudy-snowy": "🌨️",
+    "snowy-cloudy": "🌨️",
+    "sunny-rainy": "🌦️",
+    "rainy-sunny": "🌦️",
+    "sunny-snowy": "🌨️",
+    "snowy-sunny": "🌨️",
+    "rainy-snowy": "🌨️",
+    "snowy-rainy": "🌨️",
+};
+
+// Weight applied to keywords preceded by "some" (e.g., "some rain")
+const PARTIAL_WEIGHT = 0.5;
+
+/**
+ * Accent colour for each card CSS class, as used for the card borders.
+ *
+ * NOTE: The colours are copied from the .weather-* rules in app/styles.css.
+ * Keep both in sync when making changes.
+ */
+const CLASS_COLORS = {
+    "weather-sunny": "#facc15",
+    "weather-cloudy": "#cbd5e1",
+    "weather-rainy": "#60a5fa",
+    "weather-snowy": "#bae6fd",
+    "weather-cloudy-rainy": "#7dc3f5",
+    "weather-sunny-cloudy": "#ffd54f",
+    "weather-cloudy-snowy": "#b3d4f5",
+};
+
+// Colours for each of WIDGET_THEMES
+const THEMES = {
+    light: { background: "#ffffff", text: "#1f2937", border: "#e5e7eb" },
+    dark: { background: "#111827", text: "#f9fafb", border: "#374151" },
+};
+
+const FONT_FAMILY = "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+// Characters of the condition shown under each day in the SVG badge
+const SVG_LABEL_LENGTH = 18;
+
+// Pick an icon from the description keywords (see getWeatherIcon in app/forecastCard.js).
+function getWeatherIcon(description) {
+    const counts = { sunny: 0, cloudy: 0, rainy: 0, snowy: 0 };
+    const descWords = description.toLowerCase().split(/\s|,/);
+    let someActive = false;
+
+    for (const word of descWords) {
+        if (word === "some") {
+            someActive = true;
+            continue;
+        }
+
+        for (const category of Object.keys(WEATHER_KEYWORDS)) {
+            if (WEATHER_KEYWORDS[category].some((keyword) => word.includes(keyword))) {
+                counts[category] += someActive ? PARTIAL_WEIGHT : 1;
+                someActive = false;
+            }
+        }
+    }
+
+    const sorted = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    const topCategory = sorted[0];
+    const secondCategory = sorted[1];
+    const topScore = counts[topCategory];
+    const secondScore = counts[secondCategory];
+
+    const shouldUseSynergy =
+        topScore > 0 &&
+        secondScore > 0 &&
+        (secondScore >= 1 || topScore - secondScore <= PARTIAL_WEIGHT);
+
+    if (shouldUseSynergy) {
+        const synergyKey = `${topCategory}-${secondCategory}`;
+        if (SYNERGY_ICONS[synergyKey]) {
+            return SYNERGY_ICONS[synergyKey];
+        }
+    }
+
+    return topScore > 0 ? SINGLE_ICONS[topCategory] : "⛅";
+}
+
+// Card CSS class for a description-keyword icon.
+function getWeatherClass(description) {
+    const map = {
+        "☀️": "weather-sunny",
+        "☁️": "weather-cloudy",
+        "🌧️": "weather-rainy",
+        "❄️": "weather-snowy",
+        "🌦️": "weather-cloudy-rainy",
+        "🌤️": "weather-sunny-cloudy",
+        "🌨️": "weather-cloudy-snowy",
+    };
+    return map[getWeatherIcon(description)] || "weather-sunny";
+}
+
+/**
+ * Icon, condition label and accent colour for a forecast, preferring its
+ * condition_code and falling back to the description keywords, like the
+ * app's getConditionIcon and getConditionClass.
+ *
+ * @param {Object} forecast - Forecast row
+ * @returns {{icon: string, label: string|null, color: string}}
+ */
+function getConditionDisplay(forecast) {
+    const condition = CONDITION_CODES[forecast.condition_code];
+    if (condition) {
+        return { icon: condition.icon, label: condition.label, color: CLASS_COLORS[condition.className] };
+    }
+    const description = forecast.description || "";
+    return { icon: getWeatherIcon(description), label: null, color: CLASS_COLORS[getWeatherClass(description)] };
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Cut text to a number of characters, ending with an ellipsis if cut.
+function truncate(text, length) {
+    const chars = [...text];
+    return chars.length > length ? `${chars.slice(0, length - 1).join("").trimEnd()}…` : text;
+}
+
+// "#1e3a8a" from a validated hex colour parameter, with or without "#".
+function hexColor(value) {
+    return `#${value.replace(/^#/, "")}`;
+}
+
+// Theme colours with any colour parameters applied.
+function widgetColors({ theme, background, text }) {
+    return {
+        ...THEMES[theme],
+        ...(background && { background: hexColor(background) }),
+        ...(text && { text: hexColor(text) }),
+    };
+}
+
+// "Today", or a short date such as "Mon 20".
+function dayLabel(date, today) {
+    return date === today ? "Today" : formatLocalDate(date, { weekday: "short", day: "numeric" });
+}
+
+// "7-12°C", "max 12°C" or null.
+function temperatureText(forecast) {
+    if (forecast.min_temp != null && forecast.max_temp != null) {
+        return `${forecast.min_temp}-${forecast.max_temp}°C`;
+    }
+    return forecast.max_temp != null ? `max ${forecast.max_temp}°C` : null;
+}
+
+// "Updated Mon 19 Oct 06:30" for the latest of the forecasts' publications.
+function updatedText(forecasts) {
+    const latest = forecasts.map((forecast) => forecast.published_at).sort().at(-1);
+    const time = new Date(latest).toLocaleTimeString("en-GB", {
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: TIME_ZONE,
+    });
+    return `Updated ${formatDateShort(localDate(latest))} ${time}`;
+}
+
+/**
+ * Render the HTML widget.
+ *
+ * @param {Object[]} forecasts - One forecast per day, oldest first
+ * @param {Object} options - Validated WidgetQuerySchema output
+ * @param {string} today - Today's date, for the "Today" label
+ * @returns {string} - HTML document
+ */
+export function renderWidgetHtml(forecasts, options, today = localToday()) {
+    const colors = widgetColors(options);
+    const { title } = CONFIG.widget;
+
+    const days = forecasts.map((forecast) => {
+        const display = getConditionDisplay(forecast);
+        const accent = options.accent ? hexColor(options.accent) : display.color;
+        const temperature = temperatureText(forecast);
+        const wind = [
+            forecast.wind_direction,
+            forecast.wind_speed != null ? `${forecast.wind_speed} mph` : null,
+        ].filter(Boolean).join(" ");
+        const lines = [
+            `<div class="date">${escapeXml(dayLabel(forecast.forecast_date, today))}</div>`,
+            `<div class="icon" role="img" aria-label="${escapeXml(display.label || forecast.description || "Forecast")}">${display.icon}</div>`,
+            temperature && `<div class="temps">${escapeXml(temperature)}</div>`,
+            forecast.description && `<div class="description">${escapeXml(forecast.description)}</div>`,
+            wind && `<div class="wind">${escapeXml(wind)}</div>`,
+        ];
+        return `
+      <div class="day" style="--accent: ${accent}">
+        ${lines.filter(Boolean).join("\n        ")}
+      </div>`;
+    }).join("");
+
+    const body = forecasts.length > 0
+        ? `<div class="days">${days}
+    </div>
+    <div class="footer">${escapeXml(title)} · ${escapeXml(updatedText(forecasts))}</div>`
+        : `<div class="empty">No forecast is available right now.</div>
+    <div class="footer">${escapeXml(title)}</div>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(title)}</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; }
+    html, body { height: 100%; }
+    body { font-family: ${FONT_FAMILY}; font-size: 14px; line-height: 1.35; color: ${colors.text}; background: ${colors.background}; }
+    a.widget { display: flex; flex-direction: column; gap: 8px; height: 100%; padding: 10px; color: inherit; text-decoration: none; }
+    .days { display: flex; flex-wrap: wrap; gap: 8px; flex: 1; }
+    .day { flex: 1 1 110px; display: flex; flex-direction: column; gap: 2px; padding: 8px 10px; border: 1px solid ${colors.border}; border-left: 5px solid var(--accent); border-radius: 8px; }
+    .date { font-weight: 600; }
+    .icon { font-size: 28px; line-height: 1.2; }
+    .temps { font-size: 16px; font-weight: 600; }
+    .description { display: -webkit-box; -webkit-line-clamp: 3; -webkit-box-orient: vertical; overflow: hidden; }
+    .wind, .footer, .empty { opacity: 0.7; font-size: 12px; }
+    .empty { flex: 1; }
+  </style>
+</head>
+<body>
+  <a class="widget" href="${escapeXml(CONFIG.syndication.homePageUrl)}" target="_blank" rel="noopener">
+    ${body}
+  </a>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the SVG badge: one column per day with the date, icon,
+ * temperatures and condition.
+ *
+ * @param {Object[]} forecasts - One forecast per day, oldest first
+ * @param {Object} options - Validated WidgetQuerySchema output
+ * @param {string} today - Today's date, for the "Today" label
+ * @returns {string} - SVG document
+ */
+export function renderWidgetSvg(forecasts, options, today = localToday()) {
+    const colors = widgetColors(options);
+    const { svgDayWidth: dayWidth, svgHeight: height, title } = CONFIG.widget;
+    const width = dayWidth * Math.max(forecasts.length, 1);
+
+    const summaries = [];
+    const columns = forecasts.map((forecast, index) => {
+        const display = getConditionDisplay(forecast);
+        const accent = options.accent ? hexColor(options.accent) : display.color;
+        const date = dayLabel(forecast.forecast_date, today);
+        const temperature = temperatureText(forecast);
+        const label = display.label || forecast.description || "";
+        summaries.push([date, label, temperature].filter(Boolean).join(", "));
+
+        // Centred in the space right of the accent bar
+        const x = index * dayWidth;
+        const center = x + (dayWidth + 16) / 2;
+        const elements = [
+            index > 0 && `<line x1="${x}" y1="10" x2="${x}" y2="${height - 10}" stroke="${colors.border}"/>`,
+            `<rect x="${x + 8}" y="10" width="4" height="${height - 20}" rx="2" fill="${accent}"/>`,
+            `<text x="${center}" y="24" font-size="12" font-weight="600">${escapeXml(date)}</text>`,
+            `<text x="${center}" y="54" font-size="26">${display.icon}</text>`,
+            temperature && `<text x="${center}" y="74" font-size="13" font-weight="600">${escapeXml(temperature)}</text>`,
+            label && `<text x="${center}" y="88" font-size="10" fill-opacity="0.7">${escapeXml(truncate(label, SVG_LABEL_LENGTH))}</text>`,
+        ];
+        return `
+  <g>
+    ${elements.filter(Boolean).join("\n    ")}
+  </g>`;
+    }).join("");
+
+    const content = forecasts.length > 0
+        ? columns
+        : `
+  <text x="${width / 2}" y="${height / 2 + 4}" font-size="12" fill-opacity="0.7">No forecast</text>`;
+    const description = summaries.length > 0 ? `${title}: ${summaries.join("; ")}` : `${title}: no forecast available`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(description)}">
+  <title>${escapeXml(description)}</title>
+  <rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="8" fill="${colors.background}" stroke="${colors.border}"/>
+  <g font-family="${FONT_FAMILY}" fill="${colors.text}" text-anchor="middle">${content}
+  </g>
+</svg>
+`;
+}
+
+// Validate the query and load the best forecast for each requested day.
+async function loadWidget(env, url) {
+    const queryValidation = parseQuery(WidgetQuerySchema, url);
+    if (!queryValidation.success) {
+        return { error: validationError(queryValidation.error) };
+    }
+
+    const options = queryValidation.data;
+    const today = localToday();
+    const { results } = await env.DB.prepare(`
+        with ${buildLatestSameDayCTE("forecast_date between ? and ?")}
+        select *
+        from latest_same_day
+        order by forecast_date asc
+    `).bind(today, addDays(today, options.days - 1)).all();
+    return { forecasts: results || [], options, today };
+}
+
+/**
+ * GET /v1/widget - HTML widget for an <iframe>.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: string|Object, status: number, contentType?: string}>}
+ */
+export async function handleWidgetHtmlRequest(request, env, url) {
+    const { forecasts, options, today, error } = await loadWidget(env, url);
+    if (error) return error;
+
+    return {
+        result: renderWidgetHtml(forecasts, options, today),
+        status: 200,
+        contentType: "text/html; charset=utf-8",
+    };
+}
+
+/**
+ * GET /v1/widget.svg - SVG badge for an <img>.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment bindings
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{result: string|Object, status: number, contentType?: string}>}
+ */
+export async function handleWidgetSvgRequest(request, env, url) {
+    const { forecasts, options, today, error } = await loadWidget(env, url);
+    if (error) return error;
+
+    return {
+        result: renderWidgetSvg(forecasts, options, today),
+        status: 200,
+        contentType: "image/svg+xml; charset=utf-8",
+    };
+}